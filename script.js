@@ -82,56 +82,574 @@ const indices = [
 const charts = {};
 
 // Fetch Stock Data
+// --- Market Data Providers ---
+// Every provider resolves to the same normalized series so callers never touch vendor payloads:
+// { symbol, name, currency, exchange, price, previousClose, meta, bars: [{ time, o, h, l, c, v, adj }],
+//   events: { dividends: [{ time, amount }], splits: [{ time, numerator, denominator }] } }
+// `time` is UNIX seconds (ascending), bars without a close are dropped, `meta` keeps the raw vendor meta.
+// `c` is split-adjusted only; `adj` is also dividend-adjusted (total return) and falls back to `c`.
+const MARKET_DATA_DEFAULTS = {
+    provider: 'yahoo',
+    timeout: 10000,
+    yahoo: {
+        // `{url}` is replaced with the encoded Yahoo chart URL. Put a self-hosted proxy first to prefer it.
+        proxies: [
+            'https://api.allorigins.win/raw?url={url}',
+            'https://corsproxy.io/?url={url}'
+        ]
+    },
+    fixture: {
+        // Files are looked up as `${baseUrl}/${symbol}_${range}_${interval}.json`, then `${baseUrl}/${symbol}.json`
+        baseUrl: 'fixtures'
+    },
+    cache: {
+        persistent: true, // IndexedDB; set false to keep the cache in memory only
+        liveTtlMinutes: 15 // Daily+ series refetch interval while the market is open
+    }
+};
+
+// Config is overridable without code edits: localStorage('marketDataConfig') JSON, or ?provider=<name> in the URL
+function loadMarketDataConfig() {
+    const config = JSON.parse(JSON.stringify(MARKET_DATA_DEFAULTS));
+    try {
+        const saved = JSON.parse(localStorage.getItem('marketDataConfig'));
+        if (saved) {
+            Object.keys(saved).forEach(key => {
+                if (saved[key] && typeof saved[key] === 'object' && !Array.isArray(saved[key])) {
+                    config[key] = { ...config[key], ...saved[key] };
+                } else {
+                    config[key] = saved[key];
+                }
+            });
+        }
+        const urlProvider = new URLSearchParams(location.search).get('provider');
+        if (urlProvider) config.provider = urlProvider;
+    } catch (e) {
+        console.warn('Invalid marketDataConfig, using defaults', e);
+    }
+    return config;
+}
+
+const marketDataConfig = loadMarketDataConfig();
+const marketDataProviders = {};
+
+// A provider is { fetchSeries(symbol, range, interval, { timeout, config }) => Promise<series|null> },
+// optionally with fetchFundamentals(symbol, { timeout, config }) => Promise<fundamentals|null> (see normalizeYahooQuoteSummary)
+function registerMarketDataProvider(name, provider) {
+    marketDataProviders[name] = provider;
+}
+
+function getMarketDataProvider() {
+    const provider = marketDataProviders[marketDataConfig.provider];
+    if (!provider) {
+        console.warn(`Unknown market data provider '${marketDataConfig.provider}', falling back to yahoo`);
+        return marketDataProviders.yahoo;
+    }
+    return provider;
+}
+
+// fetch() with an abort timeout, resolving to parsed JSON or null
+async function fetchJsonWithTimeout(url, timeout) {
+    const controller = new AbortController();
+    const id = setTimeout(() => controller.abort(), timeout);
+    try {
+        const response = await fetch(url, { signal: controller.signal });
+        if (!response.ok) return null;
+        return await response.json();
+    } catch (e) {
+        return null;
+    } finally {
+        clearTimeout(id);
+    }
+}
+
+// Convert a Yahoo `chart.result[0]` object into the normalized series
+function normalizeYahooChart(result, symbol) {
+    if (!result) return null;
+    const meta = result.meta || {};
+    const timestamps = result.timestamp || [];
+    const quote = (result.indicators && result.indicators.quote && result.indicators.quote[0]) || {};
+
+    const opens = quote.open || [];
+    const highs = quote.high || [];
+    const lows = quote.low || [];
+    const closes = quote.close || [];
+    const volumes = quote.volume || [];
+    const adjCloses = (result.indicators && result.indicators.adjclose && result.indicators.adjclose[0]
+        && result.indicators.adjclose[0].adjclose) || [];
+
+    const bars = timestamps.map((t, i) => ({
+        time: t,
+        o: opens[i],
+        h: highs[i],
+        l: lows[i],
+        c: closes[i],
+        v: volumes[i] || 0,
+        adj: adjCloses[i] !== null && adjCloses[i] !== undefined ? adjCloses[i] : closes[i]
+    })).filter(bar => bar.c !== null && bar.c !== undefined);
+
+    // Yahoo keys events by timestamp; flatten into sorted arrays
+    const rawEvents = result.events || {};
+    const dividends = Object.values(rawEvents.dividends || {})
+        .map(d => ({ time: d.date, amount: d.amount }))
+        .sort((a, b) => a.time - b.time);
+    const splits = Object.values(rawEvents.splits || {})
+        .map(s => ({ time: s.date, numerator: s.numerator, denominator: s.denominator }))
+        .sort((a, b) => a.time - b.time);
+
+    return {
+        symbol: meta.symbol || symbol,
+        name: meta.shortName || meta.longName || symbol,
+        currency: meta.currency || null,
+        exchange: meta.exchangeName || null,
+        price: meta.regularMarketPrice,
+        previousClose: meta.chartPreviousClose,
+        meta: meta,
+        bars: bars,
+        events: { dividends, splits }
+    };
+}
+
+// Convert a Yahoo `quoteSummary.result[0]` object into normalized fundamentals:
+// { marketCap, per, pbr, dividendYield (%), high52, low52, sector, industry, currency, exchange, quoteType }
+// Fields Yahoo doesn't report for the symbol are null.
+function normalizeYahooQuoteSummary(result) {
+    if (!result) return null;
+    const price = result.price || {};
+    const detail = result.summaryDetail || {};
+    const stats = result.defaultKeyStatistics || {};
+    const profile = result.assetProfile || {};
+    const raw = field => (field && typeof field === 'object' ? field.raw : field) ?? null;
+    // ETFs report `yield` instead of dividendYield
+    const yieldRaw = raw(detail.dividendYield) ?? raw(detail.yield) ?? raw(detail.trailingAnnualDividendYield);
+
+    return {
+        marketCap: raw(price.marketCap) ?? raw(detail.marketCap),
+        per: raw(detail.trailingPE),
+        pbr: raw(stats.priceToBook),
+        dividendYield: yieldRaw !== null ? yieldRaw * 100 : null,
+        high52: raw(detail.fiftyTwoWeekHigh),
+        low52: raw(detail.fiftyTwoWeekLow),
+        sector: profile.sector || null,
+        industry: profile.industry || null,
+        currency: price.currency || detail.currency || null,
+        exchange: price.exchangeName || null,
+        quoteType: price.quoteType || null
+    };
+}
+
+// Close used for returns: 'total' reads the dividend-adjusted close, 'price' the plain close
+function barClose(bar, mode = 'price') {
+    if (mode === 'total' && bar.adj !== null && bar.adj !== undefined) return bar.adj;
+    return bar.c;
+}
+
+registerMarketDataProvider('yahoo', {
+    async fetchSeries(symbol, range, interval, { timeout, config }) {
+        const rawUrl = `https://query1.finance.yahoo.com/v8/finance/chart/${symbol}?interval=${interval}&range=${range}&events=div|split`;
+        const encodedUrl = encodeURIComponent(rawUrl);
+        const proxies = (config.yahoo && config.yahoo.proxies) || [];
+
+        for (const template of proxies) {
+            const data = await fetchJsonWithTimeout(template.replace('{url}', encodedUrl), timeout);
+            if (data && data.chart && data.chart.result) {
+                return normalizeYahooChart(data.chart.result[0], symbol);
+            }
+        }
+        return null;
+    },
+
+    // Yahoo may refuse quoteSummary without a session crumb; callers then fall back to chart-derived values
+    async fetchFundamentals(symbol, { timeout, config }) {
+        const modules = 'price,summaryDetail,defaultKeyStatistics,assetProfile';
+        const rawUrl = `https://query2.finance.yahoo.com/v10/finance/quoteSummary/${symbol}?modules=${modules}`;
+        const encodedUrl = encodeURIComponent(rawUrl);
+        const proxies = (config.yahoo && config.yahoo.proxies) || [];
+
+        for (const template of proxies) {
+            const data = await fetchJsonWithTimeout(template.replace('{url}', encodedUrl), timeout);
+            if (data && data.quoteSummary && data.quoteSummary.result) {
+                return normalizeYahooQuoteSummary(data.quoteSummary.result[0]);
+            }
+        }
+        return null;
+    }
+});
+
+// Offline provider: reads recorded responses (normalized series or raw Yahoo chart JSON) from static files
+registerMarketDataProvider('fixture', {
+    async fetchSeries(symbol, range, interval, { timeout, config }) {
+        const baseUrl = (config.fixture && config.fixture.baseUrl) || 'fixtures';
+        const file = encodeURIComponent(symbol);
+        const candidates = [
+            `${baseUrl}/${file}_${range}_${interval}.json`,
+            `${baseUrl}/${file}.json`
+        ];
+
+        for (const url of candidates) {
+            const data = await fetchJsonWithTimeout(url, timeout);
+            if (!data) continue;
+            if (data.chart && data.chart.result) return normalizeYahooChart(data.chart.result[0], symbol);
+            if (Array.isArray(data.bars)) return data;
+        }
+        return null;
+    },
+
+    // `${baseUrl}/${symbol}_fundamentals.json`: raw Yahoo quoteSummary JSON or normalized fundamentals
+    async fetchFundamentals(symbol, { timeout, config }) {
+        const baseUrl = (config.fixture && config.fixture.baseUrl) || 'fixtures';
+        const data = await fetchJsonWithTimeout(`${baseUrl}/${encodeURIComponent(symbol)}_fundamentals.json`, timeout);
+        if (!data) return null;
+        if (data.quoteSummary && data.quoteSummary.result) return normalizeYahooQuoteSummary(data.quoteSummary.result[0]);
+        return data;
+    }
+});
+
+// --- Persistent Market Data Cache (IndexedDB) ---
+// Daily and slower series are stored once per symbol/interval and sliced to the requested range;
+// when stale only the missing tail is fetched and merged. Intraday series are stored per range with a short TTL.
+const MARKET_DB_NAME = 'investMarketData';
+const MARKET_DB_VERSION = 2; // v2: bars carry adjusted close and series carry dividend/split events
+const MARKET_DB_STORE = 'series';
+const INTRADAY_INTERVAL_MINUTES = { '1m': 1, '2m': 2, '5m': 5, '15m': 15, '30m': 30, '60m': 60, '90m': 90, '1h': 60 };
+const TAIL_RANGES = ['5d', '1mo', '3mo', '6mo', '1y', '2y', '5y', '10y'];
+// Shortest tail range that still returns at least one bar for slower intervals
+const MIN_TAIL_RANGE = { '1wk': '1mo', '1mo': '3mo', '3mo': '1y' };
+const COVERAGE_TOLERANCE = 7 * 86400; // Yahoo ranges start on a trading day, allow a week of slack
+
+let marketDbPromise = null;
+
+function openMarketDb() {
+    if (marketDbPromise) return marketDbPromise;
+
+    marketDbPromise = new Promise(resolve => {
+        if (typeof indexedDB === 'undefined' || !marketDataConfig.cache.persistent) {
+            resolve(null);
+            return;
+        }
+        try {
+            const request = indexedDB.open(MARKET_DB_NAME, MARKET_DB_VERSION);
+            request.onupgradeneeded = () => {
+                // Cached series are disposable, so schema changes simply start over
+                const db = request.result;
+                if (db.objectStoreNames.contains(MARKET_DB_STORE)) db.deleteObjectStore(MARKET_DB_STORE);
+                db.createObjectStore(MARKET_DB_STORE, { keyPath: 'key' });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                console.warn('IndexedDB unavailable, market data cache is memory-only', request.error);
+                resolve(null);
+            };
+        } catch (e) {
+            console.warn('IndexedDB unavailable, market data cache is memory-only', e);
+            resolve(null);
+        }
+    });
+    return marketDbPromise;
+}
+
+// Run a single object store request, resolving to its result (or null on any failure)
+async function marketDbRequest(mode, operation) {
+    const db = await openMarketDb();
+    if (!db) return null;
+
+    return new Promise(resolve => {
+        try {
+            const store = db.transaction(MARKET_DB_STORE, mode).objectStore(MARKET_DB_STORE);
+            const request = operation(store);
+            request.onsuccess = () => resolve(request.result || null);
+            request.onerror = () => resolve(null);
+        } catch (e) {
+            resolve(null);
+        }
+    });
+}
+
+function readCachedSeries(key) {
+    return marketDbRequest('readonly', store => store.get(key));
+}
+
+function writeCachedSeries(record) {
+    return marketDbRequest('readwrite', store => store.put(record));
+}
+
+function isIntradayInterval(interval) {
+    return Object.prototype.hasOwnProperty.call(INTRADAY_INTERVAL_MINUTES, interval);
+}
+
+// Approximate span of a Yahoo range string in seconds ('max' = everything)
+function rangeToSeconds(range) {
+    if (range === 'max') return Infinity;
+    if (range === 'ytd') {
+        const now = new Date();
+        return (now - new Date(now.getFullYear(), 0, 1)) / 1000;
+    }
+    const match = /^(\d+)(d|mo|y)$/.exec(range);
+    if (!match) return 0;
+    const n = parseInt(match[1], 10);
+    if (match[2] === 'd') return n * 86400;
+    if (match[2] === 'mo') return n * 30.44 * 86400;
+    return n * 365.25 * 86400;
+}
+
+// Intraday: one bar length. Daily and slower: fresh until the next regular close,
+// except during the session where the last bar is still moving (short live TTL).
+function seriesExpiresAt(series, interval, fetchedAt) {
+    if (isIntradayInterval(interval)) {
+        return fetchedAt + INTRADAY_INTERVAL_MINUTES[interval] * 60;
+    }
+
+    const period = series.meta && series.meta.currentTradingPeriod && series.meta.currentTradingPeriod.regular;
+    if (!period || !period.end) return fetchedAt + 86400;
+
+    if (fetchedAt >= period.start && fetchedAt < period.end) {
+        return Math.min(fetchedAt + marketDataConfig.cache.liveTtlMinutes * 60, period.end);
+    }
+
+    let nextClose = period.end;
+    while (nextClose <= fetchedAt) nextClose += 86400;
+    return nextClose;
+}
+
+// Cut a stored series down to the requested range, recomputing previousClose for the new start
+function sliceSeriesToRange(series, range) {
+    const bars = series.bars;
+    let startIndex = 0;
+
+    const dayMatch = /^(\d+)d$/.exec(range);
+    if (dayMatch) {
+        startIndex = Math.max(0, bars.length - parseInt(dayMatch[1], 10));
+    } else if (range !== 'max') {
+        const cutoff = Date.now() / 1000 - rangeToSeconds(range);
+        startIndex = bars.findIndex(bar => bar.time >= cutoff);
+        if (startIndex === -1) startIndex = bars.length;
+    }
+
+    if (startIndex === 0) return series;
+
+    return {
+        ...series,
+        previousClose: bars[startIndex - 1].c,
+        bars: bars.slice(startIndex)
+    };
+}
+
+// Replace everything from the first tail bar onwards (the last stored bar may have been partial).
+// A split or dividend inside the tail rescales the whole history, so stored bars are rescaled by the
+// ratio observed on the earliest overlapping (completed) bar.
+function mergeSeriesTail(stored, tail) {
+    if (tail.bars.length === 0) return { ...stored, price: tail.price, meta: tail.meta };
+
+    const tailStart = tail.bars[0].time;
+    const storedByTime = new Map(stored.bars.map(bar => [bar.time, bar]));
+    const overlap = tail.bars.find(bar => storedByTime.has(bar.time));
+
+    let priceFactor = 1;
+    let adjFactor = 1;
+    if (overlap) {
+        const old = storedByTime.get(overlap.time);
+        if (old.c) priceFactor = overlap.c / old.c;
+        if (old.adj) adjFactor = overlap.adj / old.adj;
+    }
+    const rescale = Math.abs(priceFactor - 1) > 1e-6 || Math.abs(adjFactor - 1) > 1e-6;
+
+    const head = stored.bars.filter(bar => bar.time < tailStart).map(bar => rescale ? {
+        ...bar,
+        o: bar.o * priceFactor,
+        h: bar.h * priceFactor,
+        l: bar.l * priceFactor,
+        c: bar.c * priceFactor,
+        adj: bar.adj * adjFactor
+    } : bar);
+
+    // Keep stored events before the tail and take the tail's own events (deduplicated by time)
+    const mergeEvents = (a = [], b = []) => a.filter(e => e.time < tailStart).concat(b.filter(e => e.time >= tailStart));
+    const storedEvents = stored.events || {};
+    const tailEvents = tail.events || {};
+
+    if (rescale) console.log(`[IDB Tail Refresh] Rescaled history of ${stored.symbol} (split/dividend)`);
+
+    return {
+        ...stored,
+        name: tail.name || stored.name,
+        currency: tail.currency || stored.currency,
+        exchange: tail.exchange || stored.exchange,
+        price: tail.price,
+        meta: tail.meta,
+        bars: head.concat(tail.bars),
+        events: {
+            dividends: mergeEvents(storedEvents.dividends, tailEvents.dividends),
+            splits: mergeEvents(storedEvents.splits, tailEvents.splits)
+        }
+    };
+}
+
+function pickTailRange(gapSeconds, interval) {
+    const minIndex = MIN_TAIL_RANGE[interval] ? TAIL_RANGES.indexOf(MIN_TAIL_RANGE[interval]) : 0;
+    for (let i = minIndex; i < TAIL_RANGES.length; i++) {
+        // Leave a few days of overlap so the last stored bar is re-fetched and merged
+        if (rangeToSeconds(TAIL_RANGES[i]) >= gapSeconds + 3 * 86400) return TAIL_RANGES[i];
+    }
+    return null;
+}
+
+// Resolve a series from IndexedDB, a tail refresh or a full download. Returns { series, expiresAt } or null.
+async function loadSeriesWithCache(symbol, range, interval, timeout) {
+    const provider = getMarketDataProvider();
+    const options = { timeout, config: marketDataConfig };
+    const now = Date.now() / 1000;
+    const intraday = isIntradayInterval(interval);
+    const key = intraday
+        ? `${marketDataConfig.provider}|${symbol}|${interval}|${range}`
+        : `${marketDataConfig.provider}|${symbol}|${interval}`;
+    const requiredFrom = now - rangeToSeconds(range);
+
+    const record = await readCachedSeries(key);
+    const covered = record && (intraday || record.coveredFrom <= requiredFrom + COVERAGE_TOLERANCE);
+    const view = series => intraday ? series : sliceSeriesToRange(series, range);
+
+    if (covered && record.expiresAt > now) {
+        console.log(`[IDB Cache Hit] ${key}`);
+        return { series: view(record.series), expiresAt: record.expiresAt };
+    }
+
+    // Stale but covering the range: only download what is missing since the last stored bar
+    if (covered && !intraday && record.series.bars.length > 0) {
+        const lastTime = record.series.bars[record.series.bars.length - 1].time;
+        const tailRange = pickTailRange(now - lastTime, interval);
+        const tail = tailRange ? await provider.fetchSeries(symbol, tailRange, interval, options) : null;
+        if (tail) {
+            const merged = mergeSeriesTail(record.series, tail);
+            const expiresAt = seriesExpiresAt(merged, interval, now);
+            writeCachedSeries({ ...record, series: merged, fetchedAt: now, expiresAt });
+            console.log(`[IDB Tail Refresh] ${key} (${tailRange})`);
+            return { series: view(merged), expiresAt };
+        }
+    }
+
+    const series = await provider.fetchSeries(symbol, range, interval, options);
+    if (!series) {
+        // Serve stale data rather than nothing; expire immediately so the next call retries
+        return covered ? { series: view(record.series), expiresAt: now } : null;
+    }
+
+    const expiresAt = seriesExpiresAt(series, interval, now);
+    writeCachedSeries({
+        key,
+        symbol,
+        interval,
+        coveredFrom: range === 'max' ? 0 : requiredFrom,
+        fetchedAt: now,
+        expiresAt,
+        series
+    });
+    return { series, expiresAt };
+}
+
 // --- Global Cache ---
+// cacheKey -> { promise, expiresAt } (in-flight requests never expire so they are shared)
 const apiCache = new Map();
 
 // --- Centralized API Fetcher with Cache & fallback ---
-async function fetchYahooData(symbol, range, interval, timeout = 10000) {
-    const cacheKey = `${symbol}-${range}-${interval}`;
+async function fetchMarketData(symbol, range, interval, timeout = marketDataConfig.timeout) {
+    const cacheKey = `${marketDataConfig.provider}-${symbol}-${range}-${interval}`;
 
-    if (apiCache.has(cacheKey)) {
+    const cached = apiCache.get(cacheKey);
+    if (cached && cached.expiresAt > Date.now() / 1000) {
         console.log(`[Cache Hit] ${cacheKey}`);
-        return apiCache.get(cacheKey);
+        return cached.promise;
     }
 
-    const rawUrl = `https://query1.finance.yahoo.com/v8/finance/chart/${symbol}?interval=${interval}&range=${range}`;
-    const encodedUrl = encodeURIComponent(rawUrl);
-
-    const proxies = [
-        `https://api.allorigins.win/raw?url=${encodedUrl}`,
-        `https://corsproxy.io/?url=${encodedUrl}`
-    ];
-
     // Create a promise to store in cache immediately (request deduplication)
-    const fetchPromise = (async () => {
-        for (const proxyUrl of proxies) {
-            const controller = new AbortController();
-            const id = setTimeout(() => controller.abort(), timeout);
-            try {
-                const response = await fetch(proxyUrl, { signal: controller.signal });
-                clearTimeout(id);
-                if (!response.ok) continue;
-
-                const data = await response.json();
-                if (data.chart && data.chart.result) {
-                    return data.chart.result[0];
-                }
-            } catch (e) {
-                // console.warn(`Proxy failed: ${proxyUrl}`, e);
+    const entry = { promise: null, expiresAt: Infinity };
+    entry.promise = (async () => {
+        try {
+            const result = await loadSeriesWithCache(symbol, range, interval, timeout);
+            if (result) {
+                entry.expiresAt = result.expiresAt;
+                return result.series;
             }
+        } catch (e) {
+            console.warn(`[Provider Error] ${marketDataConfig.provider} ${symbol}`, e);
         }
-        // If all proxies fail, invalidating cache so we can retry
+        // If the provider fails, invalidate cache so we can retry
         apiCache.delete(cacheKey);
         return null;
     })();
 
-    apiCache.set(cacheKey, fetchPromise);
-    return fetchPromise;
+    apiCache.set(cacheKey, entry);
+    return entry.promise;
+}
+
+// --- Fundamentals (Key Statistics) ---
+// Provider-reported figures, with gaps filled from the 1y daily series (52-week range, trailing
+// dividend yield, currency). Market cap, PER/PBR and sector have no chart-based fallback and stay null.
+const FUNDAMENTALS_TTL_SECONDS = 6 * 60 * 60;
+const FUNDAMENTAL_FIELDS = ['marketCap', 'per', 'pbr', 'dividendYield', 'high52', 'low52', 'sector', 'industry', 'currency', 'exchange', 'quoteType'];
+
+function deriveFundamentalsFromSeries(series) {
+    const meta = series.meta || {};
+    const lastTime = series.bars.length > 0 ? series.bars[series.bars.length - 1].time : 0;
+    const yearBars = series.bars.filter(bar => bar.time > lastTime - 365 * 86400);
+    const highs = yearBars.map(bar => bar.h ?? bar.c).filter(v => v !== null && v !== undefined);
+    const lows = yearBars.map(bar => bar.l ?? bar.c).filter(v => v !== null && v !== undefined);
+
+    const lastClose = series.price || (yearBars.length > 0 ? yearBars[yearBars.length - 1].c : null);
+    const dividends = ((series.events && series.events.dividends) || [])
+        .filter(d => d.time > lastTime - 365 * 86400)
+        .reduce((sum, d) => sum + d.amount, 0);
+
+    return {
+        high52: meta.fiftyTwoWeekHigh ?? (highs.length > 0 ? Math.max(...highs) : null),
+        low52: meta.fiftyTwoWeekLow ?? (lows.length > 0 ? Math.min(...lows) : null),
+        dividendYield: dividends > 0 && lastClose ? dividends / lastClose * 100 : null,
+        currency: series.currency,
+        exchange: meta.fullExchangeName || series.exchange,
+        quoteType: meta.instrumentType || null
+    };
+}
+
+// Per-field: the first non-empty value wins
+function mergeFundamentals(...sources) {
+    const merged = {};
+    FUNDAMENTAL_FIELDS.forEach(field => {
+        const source = sources.find(s => s && s[field] !== null && s[field] !== undefined && s[field] !== '');
+        merged[field] = source ? source[field] : null;
+    });
+    return merged;
+}
+
+async function fetchFundamentals(symbol, timeout = marketDataConfig.timeout) {
+    const cacheKey = `${marketDataConfig.provider}-fundamentals-${symbol}`;
+    const cached = apiCache.get(cacheKey);
+    if (cached && cached.expiresAt > Date.now() / 1000) return cached.promise;
+
+    const entry = { promise: null, expiresAt: Date.now() / 1000 + FUNDAMENTALS_TTL_SECONDS };
+    entry.promise = (async () => {
+        const provider = getMarketDataProvider();
+        const [reported, series] = await Promise.all([
+            provider.fetchFundamentals
+                ? provider.fetchFundamentals(symbol, { timeout, config: marketDataConfig }).catch(e => {
+                    console.warn(`[Provider Error] fundamentals ${symbol}`, e);
+                    return null;
+                })
+                : null,
+            fetchMarketData(symbol, '1y', '1d', timeout)
+        ]);
+        if (!reported && !series) {
+            apiCache.delete(cacheKey); // retry next time
+            return null;
+        }
+        return mergeFundamentals(reported, series ? deriveFundamentalsFromSeries(series) : null);
+    })();
+
+    apiCache.set(cacheKey, entry);
+    return entry.promise;
 }
 
 // --- Fetch Stock Data (For UI/Search) ---
 async function fetchStockData(symbol, range = '1d', interval = '5m', retries = 1) {
-    // We ignore retries argument as fetchYahooData handles proxy failover
+    // We ignore retries argument as the market data provider handles proxy failover
 
     // Cloud Cache Check (Optional: For Search? usually we search new things)
     // Only use cloud checks for "known" symbols maybe? 
@@ -146,9 +664,9 @@ async function fetchStockData(symbol, range = '1d', interval = '5m', retries = 1
         // However, making fetchStockData smart is easier.
     }
 
-    const result = await fetchYahooData(symbol, range, interval);
+    const series = await fetchMarketData(symbol, range, interval);
 
-    if (!result) {
+    if (!series) {
         // Fallback to cache if network fails?
         if (cloudCache.stocks[symbol]) {
             console.log(`[Network Failed] Returning cached data for ${symbol}`);
@@ -159,34 +677,26 @@ async function fetchStockData(symbol, range = '1d', interval = '5m', retries = 1
     }
 
     try {
-        const timestamps = result.timestamp || [];
-        const quotes = result.indicators.quote[0];
-
-        const opens = quotes.open || [];
-        const highs = quotes.high || [];
-        const lows = quotes.low || [];
-        const closes = quotes.close || [];
-
-        const validData = timestamps.map((t, i) => ({
-            time: t,
-            o: opens[i],
-            h: highs[i],
-            l: lows[i],
-            c: closes[i]
-        })).filter(item => item.c !== null && item.o !== null);
-
-        const regularMarketPrice = result.meta.regularMarketPrice;
-        const chartPreviousClose = result.meta.chartPreviousClose;
-        const stockName = result.meta.shortName || result.meta.longName || symbol;
+        const validData = series.bars
+            .filter(bar => bar.o !== null && bar.o !== undefined)
+            .map(bar => ({
+                time: bar.time,
+                o: bar.o,
+                h: bar.h,
+                l: bar.l,
+                c: bar.c,
+                v: bar.v
+            }));
 
         return {
             ohlc: validData,
             prices: validData.map(item => item.c),
             timestamps: validData.map(item => item.time),
-            currentPrice: regularMarketPrice,
-            prevClose: chartPreviousClose,
+            currentPrice: series.price,
+            prevClose: series.previousClose,
             lastUpdated: validData.length > 0 ? validData[validData.length - 1].time : null,
-            name: stockName,
+            name: series.name,
+            currency: series.currency || inferCurrency(symbol),
         };
     } catch (error) {
         console.error('Data parsing error:', error);
@@ -200,7 +710,7 @@ async function fetchHistory(symbol, range, timeout = 10000) {
     if (['10y', '7y', '5y'].includes(range)) interval = '1wk';
     if (range === '10y') interval = '1mo';
 
-    return fetchYahooData(symbol, range, interval, timeout);
+    return fetchMarketData(symbol, range, interval, timeout);
 }
 
 // Initialize Charts
@@ -378,7 +888,32 @@ function updateChartUI(chart, data, elementIdPrefix, showTimes = true, currentTy
         }];
     }
 
+    // Volume histogram along the bottom of candlestick charts (unless shown as its own panel)
+    const showVolume = isCandle && hasVolume(data.ohlc) && !getIndicatorSettings(elementIdPrefix).enabled.includes('volume');
+    if (showVolume) {
+        chart.data.datasets.push({
+            type: 'bar',
+            label: '거래량',
+            data: data.ohlc.map(item => ({ x: item.time * 1000, y: item.v || 0 })),
+            backgroundColor: volumeBarColors(data.ohlc),
+            yAxisID: 'volume'
+        });
+        chart.config.options.scales.volume = {
+            display: false,
+            min: 0,
+            max: Math.max(...data.ohlc.map(item => item.v || 0)) * VOLUME_HEIGHT_RATIO,
+            grid: { display: false }
+        };
+    } else {
+        delete chart.config.options.scales.volume;
+    }
+
+    // Technical Indicators
+    chart.data.datasets.push(...buildOverlayDatasets(data, elementIdPrefix, isCandle));
+    applyIndicatorAxisWidth(chart, elementIdPrefix);
+
     chart.update('none');
+    renderIndicatorPanels(chart, data, elementIdPrefix, isCandle);
 
     // Update Text Display
     if (elementIdPrefix === 'search') {
@@ -388,6 +923,473 @@ function updateChartUI(chart, data, elementIdPrefix, showTimes = true, currentTy
     }
 }
 
+// --- Technical Indicators ---
+// Overlays are drawn on the price chart itself; panels get their own small chart underneath,
+// sharing the price chart's x-axis (time scale for candles, labels for lines).
+const INDICATOR_OVERLAYS = {
+    sma: { label: 'SMA', color: '#fbbf24', param: 'period', defaultValue: 20 },
+    ema: { label: 'EMA', color: '#a78bfa', param: 'period', defaultValue: 50 },
+    bollinger: { label: '볼린저', color: '#60a5fa', param: 'period', defaultValue: 20 },
+    vwap: { label: 'VWAP', color: '#f472b6' }
+};
+const INDICATOR_PANELS = {
+    volume: { label: '거래량' },
+    rsi: { label: 'RSI', param: 'period', defaultValue: 14 },
+    macd: { label: 'MACD' }
+};
+const BOLLINGER_WIDTH = 2; // standard deviations
+const MACD_PERIODS = { fast: 12, slow: 26, signal: 9 };
+const INDICATOR_AXIS_WIDTH = 64; // fixed y-axis width so panels line up with the price chart
+const indicatorCharts = {}; // chartId -> { panel: Chart }
+const VOLUME_HEIGHT_RATIO = 5; // in-chart volume bars use the bottom 1/5 of a candlestick chart
+const VOLUME_AVERAGE_DAYS = 20;
+
+// Per-chart settings ('search' or an index id): { enabled: [keys], params: { key: number } }
+let indicatorSettings = {};
+try {
+    const savedSettings = JSON.parse(localStorage.getItem('indicatorSettings'));
+    if (isPlainObject(savedSettings)) indicatorSettings = savedSettings;
+} catch (e) {
+    console.error('Failed to load indicator settings', e);
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function getIndicatorSettings(chartId) {
+    const saved = isPlainObject(indicatorSettings[chartId]) ? indicatorSettings[chartId] : {};
+    return {
+        enabled: Array.isArray(saved.enabled) ? saved.enabled : [],
+        params: isPlainObject(saved.params) ? saved.params : {}
+    };
+}
+
+function getIndicatorParam(settings, key) {
+    const def = INDICATOR_OVERLAYS[key] || INDICATOR_PANELS[key];
+    const value = settings.params[key];
+    return Number.isInteger(value) && value > 1 ? value : def.defaultValue;
+}
+
+function saveIndicatorSettings(chartId, settings) {
+    indicatorSettings[chartId] = settings;
+    localStorage.setItem('indicatorSettings', JSON.stringify(indicatorSettings));
+}
+
+// Simple moving average (null until `period` values are available)
+function calcSMA(values, period) {
+    let sum = 0;
+    return values.map((v, t) => {
+        sum += v;
+        if (t >= period) sum -= values[t - period];
+        return t >= period - 1 ? sum / period : null;
+    });
+}
+
+// Exponential moving average seeded with the SMA of the first `period` values
+function calcEMA(values, period) {
+    const k = 2 / (period + 1);
+    let ema = null;
+    return values.map((v, t) => {
+        if (v === null) return ema;
+        if (t < period - 1) return null;
+        if (ema === null) {
+            const seed = values.slice(t - period + 1, t + 1);
+            if (seed.some(s => s === null)) return null;
+            ema = seed.reduce((sum, s) => sum + s, 0) / period;
+        } else {
+            ema = v * k + ema * (1 - k);
+        }
+        return ema;
+    });
+}
+
+function calcBollinger(values, period, width = BOLLINGER_WIDTH) {
+    const middle = calcSMA(values, period);
+    const upper = [];
+    const lower = [];
+    values.forEach((v, t) => {
+        if (middle[t] === null) {
+            upper.push(null);
+            lower.push(null);
+            return;
+        }
+        const window = values.slice(t - period + 1, t + 1);
+        const sd = Math.sqrt(window.reduce((sum, x) => sum + (x - middle[t]) ** 2, 0) / period);
+        upper.push(middle[t] + width * sd);
+        lower.push(middle[t] - width * sd);
+    });
+    return { middle, upper, lower };
+}
+
+// Volume-weighted average of the typical price; intraday bars restart every session,
+// daily and longer bars accumulate from the first bar shown
+function calcVWAP(ohlc, intraday) {
+    let pv = 0;
+    let volume = 0;
+    let session = null;
+    return ohlc.map(bar => {
+        const day = new Date(bar.time * 1000).toDateString();
+        if (intraday && day !== session) {
+            pv = 0;
+            volume = 0;
+            session = day;
+        }
+        if (bar.v > 0) {
+            pv += (bar.h + bar.l + bar.c) / 3 * bar.v;
+            volume += bar.v;
+        }
+        return volume > 0 ? pv / volume : null;
+    });
+}
+
+// Wilder's RSI
+function calcRSI(values, period) {
+    const result = values.map(() => null);
+    let avgGain = 0;
+    let avgLoss = 0;
+    for (let t = 1; t < values.length; t++) {
+        const change = values[t] - values[t - 1];
+        const gain = Math.max(change, 0);
+        const loss = Math.max(-change, 0);
+        if (t <= period) {
+            avgGain += gain / period;
+            avgLoss += loss / period;
+        } else {
+            avgGain = (avgGain * (period - 1) + gain) / period;
+            avgLoss = (avgLoss * (period - 1) + loss) / period;
+        }
+        if (t >= period) result[t] = avgLoss === 0 ? 100 : 100 - 100 / (1 + avgGain / avgLoss);
+    }
+    return result;
+}
+
+function calcMACD(values, { fast, slow, signal } = MACD_PERIODS) {
+    const fastEma = calcEMA(values, fast);
+    const slowEma = calcEMA(values, slow);
+    const macd = values.map((v, t) => fastEma[t] !== null && slowEma[t] !== null ? fastEma[t] - slowEma[t] : null);
+    const start = macd.findIndex(v => v !== null);
+    const signalLine = start < 0 ? macd.map(() => null) : [...macd.slice(0, start), ...calcEMA(macd.slice(start), signal)];
+    const histogram = macd.map((v, t) => v !== null && signalLine[t] !== null ? v - signalLine[t] : null);
+    return { macd, signal: signalLine, histogram };
+}
+
+function hasVolume(ohlc) {
+    return !!ohlc && ohlc.some(bar => bar.v > 0);
+}
+
+// Up bars (close >= open) green, down bars red
+function volumeBarColors(ohlc) {
+    return ohlc.map(bar => bar.c >= bar.o ? 'rgba(46, 189, 133, 0.35)' : 'rgba(246, 70, 93, 0.35)');
+}
+
+// Bars are intraday when consecutive points are less than a day apart
+function isIntradaySeries(ohlc) {
+    return ohlc.length > 1 && ohlc[1].time - ohlc[0].time < 86400;
+}
+
+// Chart data points: {x, y} on a time scale, plain values on a label scale
+function toIndicatorPoints(values, ohlc, isCandle) {
+    return isCandle ? values.map((y, t) => ({ x: ohlc[t].time * 1000, y })) : values;
+}
+
+function buildOverlayDatasets(data, chartId, isCandle) {
+    const settings = getIndicatorSettings(chartId);
+    const ohlc = data.ohlc || [];
+    const closes = ohlc.map(bar => bar.c);
+    const line = (label, values, color, extra = {}) => ({
+        type: 'line',
+        label,
+        data: toIndicatorPoints(values, ohlc, isCandle),
+        borderColor: color,
+        borderWidth: 1.2,
+        pointRadius: 0,
+        fill: false,
+        ...extra
+    });
+
+    const datasets = [];
+    settings.enabled.forEach(key => {
+        const def = INDICATOR_OVERLAYS[key];
+        if (!def) return;
+        const period = def.param ? getIndicatorParam(settings, key) : null;
+        if (key === 'sma') datasets.push(line(`SMA ${period}`, calcSMA(closes, period), def.color));
+        if (key === 'ema') datasets.push(line(`EMA ${period}`, calcEMA(closes, period), def.color));
+        if (key === 'bollinger') {
+            const bands = calcBollinger(closes, period);
+            datasets.push(line(`BB 중심 ${period}`, bands.middle, def.color, { borderDash: [4, 3] }));
+            datasets.push(line('BB 상단', bands.upper, def.color));
+            datasets.push(line('BB 하단', bands.lower, def.color, { fill: '-1', backgroundColor: 'rgba(96, 165, 250, 0.08)' }));
+        }
+        if (key === 'vwap' && hasVolume(ohlc)) {
+            datasets.push(line('VWAP', calcVWAP(ohlc, isIntradaySeries(ohlc)), def.color));
+        }
+    });
+    return datasets;
+}
+
+// With panels shown the price chart's y-axis gets the panels' fixed width so the x-axes line up
+function applyIndicatorAxisWidth(chart, chartId) {
+    const hasPanels = getIndicatorSettings(chartId).enabled.some(key => INDICATOR_PANELS[key]);
+    if (hasPanels) {
+        chart.config.options.scales.y.afterFit = scale => { scale.width = INDICATOR_AXIS_WIDTH; };
+    } else {
+        delete chart.config.options.scales.y.afterFit;
+    }
+}
+
+// Sub-panels under a price chart (drawn after it so they can copy its x range), rebuilt on every update
+function renderIndicatorPanels(chart, data, chartId, isCandle) {
+    const settings = getIndicatorSettings(chartId);
+    const panels = settings.enabled.filter(key => INDICATOR_PANELS[key]);
+    const container = clearIndicatorPanels(chart, chartId);
+
+    const ohlc = data.ohlc || [];
+    const closes = ohlc.map(bar => bar.c);
+    const xScale = { display: false, offset: chart.scales.x.options.offset };
+    if (isCandle) Object.assign(xScale, { type: 'time', min: chart.scales.x.min, max: chart.scales.x.max });
+
+    panels.forEach(key => {
+        let datasets;
+        const y = {
+            position: 'right',
+            afterFit: scale => { scale.width = INDICATOR_AXIS_WIDTH; },
+            grid: { color: 'rgba(255, 255, 255, 0.05)' },
+            ticks: { color: '#8b92a5', font: { family: "'JetBrains Mono', monospace", size: 10 }, maxTicksLimit: 3 }
+        };
+
+        if (key === 'volume') {
+            if (!hasVolume(ohlc)) return;
+            datasets = [{
+                type: 'bar',
+                label: '거래량',
+                data: toIndicatorPoints(ohlc.map(bar => bar.v || 0), ohlc, isCandle),
+                backgroundColor: volumeBarColors(ohlc)
+            }];
+            y.ticks.callback = value => value.toLocaleString(undefined, { notation: 'compact' });
+        } else if (key === 'rsi') {
+            const period = getIndicatorParam(settings, key);
+            const level = value => toIndicatorPoints(closes.map(() => value), ohlc, isCandle);
+            datasets = [
+                { type: 'line', label: `RSI ${period}`, data: toIndicatorPoints(calcRSI(closes, period), ohlc, isCandle), borderColor: '#fbbf24', borderWidth: 1.2, pointRadius: 0 },
+                { type: 'line', label: '70', data: level(70), borderColor: 'rgba(246, 70, 93, 0.5)', borderWidth: 1, borderDash: [4, 3], pointRadius: 0 },
+                { type: 'line', label: '30', data: level(30), borderColor: 'rgba(46, 189, 133, 0.5)', borderWidth: 1, borderDash: [4, 3], pointRadius: 0 }
+            ];
+            y.min = 0;
+            y.max = 100;
+        } else if (key === 'macd') {
+            const macd = calcMACD(closes);
+            datasets = [
+                { type: 'bar', label: '히스토그램', data: toIndicatorPoints(macd.histogram, ohlc, isCandle), backgroundColor: macd.histogram.map(v => v >= 0 ? 'rgba(46, 189, 133, 0.5)' : 'rgba(246, 70, 93, 0.5)') },
+                { type: 'line', label: 'MACD', data: toIndicatorPoints(macd.macd, ohlc, isCandle), borderColor: '#60a5fa', borderWidth: 1.2, pointRadius: 0 },
+                { type: 'line', label: '시그널', data: toIndicatorPoints(macd.signal, ohlc, isCandle), borderColor: '#f472b6', borderWidth: 1.2, pointRadius: 0 }
+            ];
+        }
+
+        const panelEl = document.createElement('div');
+        panelEl.className = 'indicator-panel';
+        panelEl.innerHTML = `<span class="indicator-panel-label">${INDICATOR_PANELS[key].label}</span><canvas></canvas>`;
+        container.appendChild(panelEl);
+
+        indicatorCharts[chartId][key] = new Chart(panelEl.querySelector('canvas').getContext('2d'), {
+            type: 'bar',
+            data: { labels: isCandle ? [] : chart.data.labels, datasets },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                    legend: { display: false },
+                    tooltip: chartConfig.options.plugins.tooltip
+                },
+                interaction: { mode: 'index', intersect: false },
+                scales: { x: xScale, y },
+                animation: { duration: 0 }
+            }
+        });
+    });
+}
+
+function clearIndicatorPanels(chart, chartId) {
+    const container = getIndicatorPanelContainer(chart);
+    Object.values(indicatorCharts[chartId] || {}).forEach(c => c.destroy());
+    indicatorCharts[chartId] = {};
+    container.innerHTML = '';
+    return container;
+}
+
+function getIndicatorPanelContainer(chart) {
+    const chartContainer = chart.canvas.closest('.chart-container');
+    let container = chartContainer.nextElementSibling;
+    if (!container || !container.classList.contains('indicator-panels')) {
+        container = document.createElement('div');
+        container.className = 'indicator-panels';
+        chartContainer.after(container);
+    }
+    return container;
+}
+
+// Average daily volume over the previous sessions and today's volume relative to it
+// (daily bars regardless of the chart's interval, so a monthly chart still gets daily figures)
+function calcVolumeStats(bars, days = VOLUME_AVERAGE_DAYS) {
+    const volumes = bars.map(bar => bar.v).filter(v => v > 0);
+    if (volumes.length < 2) return null;
+    const today = volumes[volumes.length - 1];
+    const previous = volumes.slice(-days - 1, -1);
+    const average = previous.reduce((sum, v) => sum + v, 0) / previous.length;
+    return { today, average, relative: average > 0 ? today / average : null, days: previous.length };
+}
+
+async function updateSearchVolumeStats(symbol) {
+    const el = document.getElementById('search-volume-info');
+    el.textContent = '';
+    let series = null;
+    try {
+        series = await fetchMarketData(symbol, '3mo', '1d');
+    } catch (e) {
+        console.warn('Volume stats unavailable', e);
+    }
+    if (symbol !== currentSearchSymbol) return; // a newer search finished first
+
+    const stats = series ? calcVolumeStats(series.bars) : null;
+    if (!stats) return;
+    const compact = v => Math.round(v).toLocaleString('ko-KR', { notation: 'compact', maximumFractionDigits: 1 });
+    el.innerHTML = `거래량 ${compact(stats.today)} · ${stats.days}일 평균 ${compact(stats.average)}` +
+        (stats.relative !== null ? ` · 상대 거래량 <span class="${stats.relative >= 1 ? 'text-up' : 'text-down'}">${stats.relative.toFixed(2)}x</span>` : '');
+}
+
+// Market cap in 조/억 원 for KRW, compact units otherwise
+function formatMarketCap(value, currency) {
+    if (currency === 'KRW') {
+        if (value >= 1e12) return `${(value / 1e12).toLocaleString(undefined, { maximumFractionDigits: 1 })}조 원`;
+        return `${Math.round(value / 1e8).toLocaleString()}억 원`;
+    }
+    const text = value.toLocaleString('en-US', { notation: 'compact', maximumFractionDigits: 2 });
+    return currency === 'USD' ? `$${text}` : `${text} ${currency || ''}`.trim();
+}
+
+function renderSearchFundamentals(f, currentPrice) {
+    const el = document.getElementById('search-fundamentals');
+    const currency = f.currency;
+    const ratio = v => `${v.toFixed(2)}배`;
+    // Current price relative to the 52-week level
+    const fromLevel = level => currentPrice && level ? (currentPrice / level - 1) * 100 : null;
+    // Sector/exchange text comes from the provider, so strip markup before it goes into innerHTML
+    const sector = f.sector ? cleanModelText(f.industry ? `${f.sector} · ${f.industry}` : f.sector, 60)
+        : (f.quoteType === 'ETF' ? 'ETF' : null);
+
+    const items = [
+        { label: '시가총액', value: f.marketCap !== null ? formatMarketCap(f.marketCap, currency) : null },
+        { label: 'PER', value: f.per !== null && f.per > 0 ? ratio(f.per) : null },
+        { label: 'PBR', value: f.pbr !== null && f.pbr > 0 ? ratio(f.pbr) : null },
+        { label: '배당수익률', value: f.dividendYield !== null ? `${f.dividendYield.toFixed(2)}%` : null },
+        { label: '52주 최고', value: f.high52 !== null ? formatNative(f.high52, currency) : null, change: fromLevel(f.high52), changeLabel: '최고가 대비' },
+        { label: '52주 최저', value: f.low52 !== null ? formatNative(f.low52, currency) : null, change: fromLevel(f.low52), changeLabel: '최저가 대비' },
+        { label: '섹터', value: sector },
+        { label: '통화', value: cleanModelText([currency, f.exchange].filter(Boolean).join(' · '), 40) || null }
+    ];
+
+    el.innerHTML = items.map(item => `
+        <div class="fundamental-item">
+            <span class="fundamental-label">${item.label}</span>
+            <span class="fundamental-value">${item.value ?? '-'}</span>
+            ${item.value !== null && item.change !== null && item.change !== undefined
+                ? `<span class="pnl-sub ${pnlClass(item.change)}">${item.changeLabel} ${item.change >= 0 ? '+' : ''}${item.change.toFixed(1)}%</span>` : ''}
+        </div>
+    `).join('');
+
+    const missing = items.filter(item => item.value === null).map(item => item.label);
+    document.getElementById('search-fundamentals-note').textContent = missing.length > 0
+        ? `'-' 항목(${missing.join(', ')})은 데이터 제공처에서 받을 수 없는 값입니다.` : '';
+}
+
+async function updateSearchFundamentals(symbol) {
+    const el = document.getElementById('search-fundamentals');
+    const note = document.getElementById('search-fundamentals-note');
+    el.innerHTML = '';
+    note.textContent = '주요 지표를 불러오는 중...';
+    let fundamentals = null;
+    try {
+        fundamentals = await fetchFundamentals(symbol);
+    } catch (e) {
+        console.warn('Fundamentals unavailable', e);
+    }
+    if (symbol !== currentSearchSymbol) return; // a newer search finished first
+
+    if (!fundamentals) {
+        note.textContent = '주요 지표를 불러올 수 없습니다.';
+        return;
+    }
+    renderSearchFundamentals(fundamentals, lastFetchedData && lastFetchedData.symbol === symbol ? lastFetchedData.currentPrice : null);
+}
+
+// Redraw a chart from its last data after its indicator settings change
+function refreshIndicatorChart(chartId) {
+    if (chartId === 'search') {
+        renderSearchChart();
+        return;
+    }
+    const index = indices.find(i => i.id === chartId);
+    const data = index && (index.lastData || cloudCache.indices[index.symbol]);
+    if (data && charts[chartId]) updateChartUI(charts[chartId], data, chartId, true, index.type);
+}
+
+// "지표" toggle and its checkbox menu in every chart's control bar
+function initIndicatorControls() {
+    document.querySelectorAll('.chart-controls-wrapper').forEach(wrapper => {
+        const chartId = wrapper.dataset.indexId || (wrapper.closest('#search-result-section') ? 'search' : null);
+        if (!chartId) return;
+
+        const button = document.createElement('button');
+        button.className = 'indicator-btn';
+        button.textContent = '지표';
+        wrapper.querySelector('.type-controls').appendChild(button);
+
+        const menu = document.createElement('div');
+        menu.className = 'indicator-menu';
+        menu.style.display = 'none';
+        wrapper.after(menu);
+        renderIndicatorMenu(menu, chartId);
+
+        button.addEventListener('click', () => {
+            menu.style.display = menu.style.display === 'none' ? 'flex' : 'none';
+            button.classList.toggle('active', menu.style.display !== 'none');
+        });
+    });
+}
+
+function renderIndicatorMenu(menu, chartId) {
+    const settings = getIndicatorSettings(chartId);
+    const option = (key, def) => `
+        <label class="overlay-option">
+            <input type="checkbox" data-key="${key}" ${settings.enabled.includes(key) ? 'checked' : ''}> ${def.label}
+            ${def.param ? `<input type="number" class="indicator-param" data-key="${key}" min="2" max="200" value="${getIndicatorParam(settings, key)}">` : ''}
+        </label>
+    `;
+    menu.innerHTML = `
+        <span class="overlay-title">오버레이</span>
+        ${Object.entries(INDICATOR_OVERLAYS).map(([key, def]) => option(key, def)).join('')}
+        <span class="overlay-title">보조지표</span>
+        ${Object.entries(INDICATOR_PANELS).map(([key, def]) => option(key, def)).join('')}
+    `;
+
+    menu.querySelectorAll('input').forEach(input => {
+        input.addEventListener('change', () => {
+            const next = getIndicatorSettings(chartId);
+            const key = input.dataset.key;
+            if (input.type === 'checkbox') {
+                next.enabled = next.enabled.filter(k => k !== key);
+                if (input.checked) next.enabled.push(key);
+            } else {
+                const value = parseInt(input.value, 10);
+                if (!(value > 1)) return;
+                next.params = { ...next.params, [key]: value };
+            }
+            saveIndicatorSettings(chartId, next);
+            refreshIndicatorChart(chartId);
+        });
+    });
+}
+
 // Update All
 async function updateDashboard() {
     for (const index of indices) {
@@ -663,34 +1665,238 @@ const recommendedPortfolios = [
     }
 ];
 
-// Helper to calculate portfolio metrics dynamically
-async function calcPortfolioMetrics(items) {
-    // Try ranges: 10y -> 5y -> 3y -> 1y
-    const ranges = ['10y', '5y', '3y', '1y'];
+// --- Custom Model Portfolios ---
+// User-defined models live in the same list as the built-ins (flagged `custom`), so the
+// benchmark, projection, comparison and copy features pick them up without special cases.
+const CUSTOM_MODEL_ID_PATTERN = /^custom_[a-z0-9]+$/;
+const MODEL_SHARE_PARAM = 'model';
+let editingModelId = null;
 
-    for (const range of ranges) {
-        try {
+function cleanModelText(value, maxLength) {
+    return String(value || '').replace(/[<>"'`]/g, '').trim().slice(0, maxLength);
+}
+
+// Shape an edited/imported model. Weights are fractions; detectPercent (imported JSON and share
+// links only) also accepts percentages, recognized by a total above 150%.
+function normalizeModelPortfolio(raw, { detectPercent = false } = {}) {
+    if (!raw || typeof raw !== 'object' || !Array.isArray(raw.items)) return null;
+
+    const items = raw.items.map(item => {
+        const symbol = cleanModelText(item && item.symbol, 20).toUpperCase().replace(/[^A-Z0-9.\-=^]/g, '');
+        return {
+            symbol,
+            weight: Number(item && item.weight),
+            name: cleanModelText(item && item.name, 60) || symbol
+        };
+    });
+    const total = items.reduce((sum, item) => sum + (Number.isFinite(item.weight) ? item.weight : 0), 0);
+    if (detectPercent && total > 1.5) items.forEach(item => { item.weight /= 100; });
+
+    return {
+        id: typeof raw.id === 'string' && CUSTOM_MODEL_ID_PATTERN.test(raw.id) ? raw.id : null,
+        name: cleanModelText(raw.name, 40),
+        desc: cleanModelText(raw.desc, 80),
+        rebalance: REBALANCE_POLICY_LABELS[raw.rebalance] ? raw.rebalance : DEFAULT_RECOMMEND_REBALANCE,
+        items,
+        custom: true
+    };
+}
+
+// Error message for an invalid model, or null
+function validateModelPortfolio(model) {
+    if (!model) return '포트폴리오 형식이 올바르지 않습니다.';
+    if (!model.name) return '포트폴리오 이름을 입력해주세요.';
+    if (model.items.length === 0) return '종목을 하나 이상 추가해주세요.';
+
+    const seen = new Set();
+    for (const item of model.items) {
+        if (!item.symbol) return '종목코드를 입력해주세요.';
+        if (seen.has(item.symbol)) return `${item.symbol} 종목이 중복되었습니다.`;
+        seen.add(item.symbol);
+        if (!Number.isFinite(item.weight) || item.weight <= 0) return `${item.symbol}의 비중을 입력해주세요.`;
+    }
+
+    const total = model.items.reduce((sum, item) => sum + item.weight, 0);
+    if (Math.abs(total - 1) > 0.0001) return `비중 합계가 100%가 아닙니다. (현재 ${(total * 100).toFixed(2)}%)`;
+    return null;
+}
+
+function getCustomPortfolios() {
+    return recommendedPortfolios
+        .filter(pf => pf.custom)
+        .map(({ id, name, desc, rebalance, items }) => ({ id, name, desc, rebalance, items }));
+}
+
+// Replace every custom model (e.g. with the Drive copy); invalid entries are dropped
+function setCustomPortfolios(list) {
+    for (let i = recommendedPortfolios.length - 1; i >= 0; i--) {
+        if (recommendedPortfolios[i].custom) recommendedPortfolios.splice(i, 1);
+    }
+    (Array.isArray(list) ? list : []).forEach(raw => {
+        const model = normalizeModelPortfolio(raw);
+        if (validateModelPortfolio(model)) return;
+        if (!model.id || recommendedPortfolios.some(pf => pf.id === model.id)) model.id = createCustomModelId();
+        recommendedPortfolios.push(model);
+    });
+}
+
+function persistCustomPortfolios() {
+    localStorage.setItem('customPortfolios', JSON.stringify(getCustomPortfolios()));
+}
+
+function createCustomModelId() {
+    return `custom_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+}
+
+// --- Rebalancing Simulation ---
+const REBALANCE_POLICY_LABELS = {
+    none: '바이앤홀드',
+    monthly: '매월 리밸런싱',
+    quarterly: '분기 리밸런싱',
+    yearly: '매년 리밸런싱',
+    threshold: '밴드 리밸런싱'
+};
+const DEFAULT_RECOMMEND_REBALANCE = 'yearly'; // Model portfolios are designed to be rebalanced
+
+// Load Custom Models (normalizing needs the rebalancing constants above)
+try {
+    setCustomPortfolios(JSON.parse(localStorage.getItem('customPortfolios')));
+} catch (e) {
+    console.error('Failed to load custom portfolios', e);
+}
+
+// True when `date` is the first point of a new rebalancing period (dates are YYYY-MM-DD keys)
+function isRebalancePeriodStart(prevDate, date, policy) {
+    const prevYear = prevDate.slice(0, 4);
+    const year = date.slice(0, 4);
+    const prevMonth = parseInt(prevDate.slice(5, 7), 10);
+    const month = parseInt(date.slice(5, 7), 10);
+
+    if (policy === 'monthly') return year !== prevYear || month !== prevMonth;
+    if (policy === 'quarterly') return year !== prevYear || Math.floor((month - 1) / 3) !== Math.floor((prevMonth - 1) / 3);
+    if (policy === 'yearly') return year !== prevYear;
+    return false;
+}
+
+// Simulate a lump sum split by `weights` over aligned price series (prices[asset][t], any currency
+// as long as it is consistent). Rebalancing back to target pays `costRate` on turnover and `taxRate`
+// on positive gains realized by the sells. Values are null before every weighted asset has a price.
+function simulateRebalancing(dates, prices, weights, { policy = 'none', band = 0.05, costRate = 0, taxRate = 0, initialValue = 1 } = {}) {
+    const totalWeight = weights.reduce((sum, w) => sum + w, 0) || 1;
+    const target = weights.map(w => w / totalWeight);
+    const values = new Array(dates.length).fill(null);
+    const result = { values, startIndex: -1, rebalances: 0, costs: 0, taxes: 0 };
+
+    const start = dates.findIndex((d, t) => target.every((w, i) => w === 0 || prices[i][t] > 0));
+    if (start === -1) return result;
+    result.startIndex = start;
+
+    const lastPrices = prices.map(series => series[start]);
+    const units = target.map((w, i) => w > 0 ? initialValue * w / lastPrices[i] : 0);
+    const avgCost = [...lastPrices]; // Per-unit cost basis for the tax drag
+    values[start] = initialValue;
+
+    for (let t = start + 1; t < dates.length; t++) {
+        prices.forEach((series, i) => {
+            if (series[t] > 0) lastPrices[i] = series[t]; // Forward fill holidays
+        });
+
+        let value = units.reduce((sum, u, i) => sum + u * lastPrices[i], 0);
+
+        let rebalance = false;
+        if (policy === 'threshold') {
+            rebalance = target.some((w, i) => Math.abs(units[i] * lastPrices[i] / value - w) > band);
+        } else if (policy !== 'none') {
+            rebalance = isRebalancePeriodStart(dates[t - 1], dates[t], policy);
+        }
+
+        if (rebalance && value > 0) {
+            let turnover = 0;
+            let realizedGain = 0;
+            target.forEach((w, i) => {
+                const diff = value * w - units[i] * lastPrices[i];
+                turnover += Math.abs(diff);
+                if (diff < 0) realizedGain += (-diff / lastPrices[i]) * (lastPrices[i] - avgCost[i]);
+            });
+
+            const cost = turnover * costRate;
+            const tax = Math.max(0, realizedGain) * taxRate;
+            value -= cost + tax;
+
+            target.forEach((w, i) => {
+                const newUnits = w > 0 ? value * w / lastPrices[i] : 0;
+                if (newUnits > units[i]) {
+                    avgCost[i] = (units[i] * avgCost[i] + (newUnits - units[i]) * lastPrices[i]) / newUnits;
+                }
+                units[i] = newUnits;
+            });
+
+            result.rebalances++;
+            result.costs += cost;
+            result.taxes += tax;
+        }
+
+        values[t] = value;
+    }
+
+    return result;
+}
+
+// Total return, CAGR (from the actual first/last dates) and MDD in percent; null points are skipped
+function calcReturnStats(dates, values) {
+    const points = [];
+    values.forEach((v, t) => {
+        if (v !== null && v > 0) points.push({ date: dates[t], value: v });
+    });
+    if (points.length < 2) return { totalReturn: 0, cagr: 0, mdd: 0 };
+
+    const first = points[0];
+    const last = points[points.length - 1];
+    const years = (new Date(last.date) - new Date(first.date)) / (365.25 * 86400000);
+
+    let peak = -Infinity;
+    let maxDrawdown = 0;
+    points.forEach(p => {
+        if (p.value > peak) peak = p.value;
+        const dd = (p.value - peak) / peak;
+        if (dd < maxDrawdown) maxDrawdown = dd;
+    });
+
+    return {
+        totalReturn: (last.value / first.value - 1) * 100,
+        cagr: years > 0 ? (Math.pow(last.value / first.value, 1 / years) - 1) * 100 : 0,
+        mdd: maxDrawdown * 100
+    };
+}
+
+// Helper to calculate portfolio metrics dynamically
+async function calcPortfolioMetrics(items, rebalancePolicy = 'none') {
+    // Try ranges: 10y -> 5y -> 3y -> 1y
+    const ranges = ['10y', '5y', '3y', '1y'];
+
+    for (const range of ranges) {
+        try {
             // Fetch data for all items in this range
             const promises = items.map(item => fetchHistory(item.symbol, range));
             const results = await Promise.all(promises);
 
             // Check if all fetches validity
-            if (results.some(r => !r || !r.timestamp || r.timestamp.length < 10)) {
+            if (results.some(r => !r || r.bars.length < 10)) {
                 continue; // Try next range if data insufficient
             }
 
             // Align timestamps: find the latest 'start date' among all assets
             let maxStartTime = 0;
             results.forEach(res => {
-                if (res.timestamp[0] > maxStartTime) maxStartTime = res.timestamp[0];
+                if (res.bars[0].time > maxStartTime) maxStartTime = res.bars[0].time;
             });
 
             // Filter data to start from maxStartTime
             const processedData = results.map(res => {
-                const startIndex = res.timestamp.findIndex(t => t >= maxStartTime);
+                const bars = res.bars.filter(bar => bar.time >= maxStartTime);
                 return {
-                    times: res.timestamp.slice(startIndex),
-                    closes: res.indicators.quote[0].close.slice(startIndex)
+                    times: bars.map(bar => bar.time),
+                    closes: bars.map(bar => barClose(bar, 'total')) // Dividends reinvested
                 };
             });
 
@@ -698,48 +1904,22 @@ async function calcPortfolioMetrics(items) {
             const minLen = Math.min(...processedData.map(d => d.times.length));
             if (minLen < 120) continue;
 
-            // Calculate Portfolio Value Over Time
-            // Assume Initial Investment 100, Buy-and-Hold
-            const portfolioValues = [];
-
-            // Normalized Prices (Start = 1.0)
-            const normPrices = processedData.map(d => {
-                const startPrice = d.closes[0];
-                return d.closes.map(p => p / startPrice);
-            });
-
-            // Calculate daily portfolio value
-            for (let i = 0; i < minLen; i++) {
-                let val = 0;
-                items.forEach((item, idx) => {
-                    val += item.weight * normPrices[idx][i]; // Weight * Normalized Price
-                });
-                portfolioValues.push(val);
-            }
-
-            // CAGR
-            const startVal = portfolioValues[0];
-            const endVal = portfolioValues[portfolioValues.length - 1];
-
-            // Years duration
-            const durationDays = (processedData[0].times[minLen - 1] - processedData[0].times[0]) / (3600 * 24);
-            const years = durationDays / 365.25;
+            // Calculate Portfolio Value Over Time (normalized start = 1.0)
+            const dates = processedData[0].times.slice(0, minLen).map(formatDateKey);
+            const prices = processedData.map(d => d.closes.slice(0, minLen));
+            const weights = items.map(item => item.weight);
 
-            const cagr = (Math.pow(endVal / startVal, 1 / years) - 1) * 100;
-
-            // MDD
-            let peak = -Infinity;
-            let maxDrawdown = 0;
-            portfolioValues.forEach(v => {
-                if (v > peak) peak = v;
-                const dd = (v - peak) / peak;
-                if (dd < maxDrawdown) maxDrawdown = dd;
-            });
+            const buyHold = calcReturnStats(dates, simulateRebalancing(dates, prices, weights).values);
+            const rebalanced = rebalancePolicy === 'none'
+                ? buyHold
+                : calcReturnStats(dates, simulateRebalancing(dates, prices, weights, { policy: rebalancePolicy }).values);
 
             return {
                 range: range,
-                return: cagr.toFixed(2),
-                mdd: (maxDrawdown * 100).toFixed(2)
+                rebalance: rebalancePolicy,
+                return: rebalanced.cagr.toFixed(2),
+                mdd: rebalanced.mdd.toFixed(2),
+                buyHoldReturn: buyHold.cagr.toFixed(2)
             };
 
         } catch (e) {
@@ -747,10 +1927,88 @@ async function calcPortfolioMetrics(items) {
         }
     }
 
-    return { range: 'N/A', return: '0.00', mdd: '0.00' };
+    return { range: 'N/A', rebalance: rebalancePolicy, return: '0.00', mdd: '0.00', buyHoldReturn: '0.00' };
 }
 
 
+// Builds one model portfolio card (rebuilt in place when it already exists, e.g. after an edit)
+async function renderRecommendationCard(pf) {
+    // Calculate Metrics
+    const rebalancePolicy = pf.items.length > 1 ? (pf.rebalance || DEFAULT_RECOMMEND_REBALANCE) : 'none';
+    const metrics = await calcPortfolioMetrics(pf.items, rebalancePolicy);
+
+    let card = document.getElementById(`rec-card-${pf.id}`);
+    if (card) {
+        const oldChart = Chart.getChart(`rec-chart-${pf.id}`);
+        if (oldChart) oldChart.destroy();
+    } else {
+        card = document.createElement('div');
+        card.id = `rec-card-${pf.id}`;
+        card.className = 'recommend-card';
+        document.getElementById('recommendation-grid').appendChild(card);
+    }
+
+    const rangeLabelMap = { '10y': '10년', '5y': '5년', '3y': '3년', '1y': '1년' };
+    const rangeText = rangeLabelMap[metrics.range] || metrics.range;
+
+    card.innerHTML = `
+        <div class="recommend-header">
+            <div>
+                <h2>${pf.name}</h2>
+                <span style="font-size: 0.8rem; color: var(--text-secondary);">${pf.desc}</span>
+            </div>
+            ${pf.custom ? `
+            <div class="recommend-actions">
+                <button onclick="openModelEditor('${pf.id}')">편집</button>
+                <button onclick="shareCustomPortfolio('${pf.id}', 'link')">링크</button>
+                <button onclick="shareCustomPortfolio('${pf.id}', 'json')">JSON</button>
+                <button onclick="deleteCustomPortfolio('${pf.id}')">삭제</button>
+            </div>` : ''}
+        </div>
+        <div class="recommend-chart-container">
+            <canvas id="rec-chart-${pf.id}"></canvas>
+        </div>
+        <div class="recommend-metrics">
+            <div class="metric-box">
+                <span class="metric-label">연평균 총수익률 (${rangeText})</span>
+                <span class="metric-value text-up">${metrics.return}%</span>
+                ${rebalancePolicy !== 'none' ? `<span class="metric-sub">${REBALANCE_POLICY_LABELS[rebalancePolicy]} · 바이앤홀드 ${metrics.buyHoldReturn}%</span>` : ''}
+            </div>
+            <div class="metric-box">
+                <span class="metric-label">MDD (최대낙폭)</span>
+                <span class="metric-value text-down">${metrics.mdd}%</span>
+            </div>
+        </div>
+        <button class="copy-portfolio-btn" onclick="copyPortfolio('${pf.id}')">이 포트폴리오로 시작하기</button>
+    `;
+
+    // Render Chart
+    const ctx = document.getElementById(`rec-chart-${pf.id}`).getContext('2d');
+    new Chart(ctx, {
+        type: 'doughnut',
+        data: {
+            labels: pf.items.map(i => i.symbol),
+            datasets: [{
+                data: pf.items.map(i => i.weight),
+                backgroundColor: [
+                    '#36A2EB', '#FF6384', '#FFCE56', '#4BC0C0', '#9966FF'
+                ],
+                borderWidth: 0
+            }]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            plugins: {
+                legend: {
+                    position: 'right',
+                    labels: { color: '#9ca3af', font: { size: 10 }, boxWidth: 10 }
+                }
+            }
+        }
+    });
+}
+
 // Render Recommendations
 let recommendationsRendered = false;
 let isRecommendLoading = false;
@@ -774,64 +2032,7 @@ async function renderRecommendations() {
 
     try {
         for (const pf of recommendedPortfolios) {
-            // Calculate Metrics
-            const metrics = await calcPortfolioMetrics(pf.items);
-
-            const card = document.createElement('div');
-            card.className = 'recommend-card';
-
-            const rangeLabelMap = { '10y': '10년', '5y': '5년', '3y': '3년', '1y': '1년' };
-            const rangeText = rangeLabelMap[metrics.range] || metrics.range;
-
-            card.innerHTML = `
-                <div class="recommend-header">
-                    <div>
-                        <h2>${pf.name}</h2>
-                        <span style="font-size: 0.8rem; color: var(--text-secondary);">${pf.desc}</span>
-                    </div>
-                </div>
-                <div class="recommend-chart-container">
-                    <canvas id="rec-chart-${pf.id}"></canvas>
-                </div>
-                <div class="recommend-metrics">
-                    <div class="metric-box">
-                        <span class="metric-label">연평균 수익률 (${rangeText})</span>
-                        <span class="metric-value text-up">${metrics.return}%</span>
-                    </div>
-                    <div class="metric-box">
-                        <span class="metric-label">MDD (최대낙폭)</span>
-                        <span class="metric-value text-down">${metrics.mdd}%</span>
-                    </div>
-                </div>
-                <button class="copy-portfolio-btn" onclick="copyPortfolio('${pf.id}')">이 포트폴리오로 시작하기</button>
-            `;
-            grid.appendChild(card);
-
-            // Render Chart
-            const ctx = document.getElementById(`rec-chart-${pf.id}`).getContext('2d');
-            new Chart(ctx, {
-                type: 'doughnut',
-                data: {
-                    labels: pf.items.map(i => i.symbol),
-                    datasets: [{
-                        data: pf.items.map(i => i.weight),
-                        backgroundColor: [
-                            '#36A2EB', '#FF6384', '#FFCE56', '#4BC0C0', '#9966FF'
-                        ],
-                        borderWidth: 0
-                    }]
-                },
-                options: {
-                    responsive: true,
-                    maintainAspectRatio: false,
-                    plugins: {
-                        legend: {
-                            position: 'right',
-                            labels: { color: '#9ca3af', font: { size: 10 }, boxWidth: 10 }
-                        }
-                    }
-                }
-            });
+            await renderRecommendationCard(pf);
         }
         recommendationsRendered = true;
     } catch (e) {
@@ -845,13 +2046,117 @@ async function renderRecommendations() {
 }
 
 // Copy Portfolio Logic
+const DEFAULT_COPY_AMOUNT_KRW = 10000000; // 10 million KRW
+
+// KRX-listed ETFs tracking (or closest to) a US ETF, for accounts that can't hold US listings
+const KRW_ETF_EQUIVALENTS = {
+    SPY: { symbol: '360750.KS', name: 'TIGER 미국S&P500' },
+    VOO: { symbol: '360750.KS', name: 'TIGER 미국S&P500' },
+    IVV: { symbol: '360750.KS', name: 'TIGER 미국S&P500' },
+    VV: { symbol: '360750.KS', name: 'TIGER 미국S&P500' },
+    VTI: { symbol: '360750.KS', name: 'TIGER 미국S&P500' },
+    QQQ: { symbol: '133690.KS', name: 'TIGER 미국나스닥100' },
+    SCHD: { symbol: '458730.KS', name: 'TIGER 미국배당다우존스' },
+    VT: { symbol: '251350.KS', name: 'KODEX 선진국MSCI World' },
+    VEA: { symbol: '195970.KS', name: 'ARIRANG 선진국MSCI(합성 H)' },
+    EEM: { symbol: '195980.KS', name: 'ARIRANG 신흥국MSCI(합성 H)' },
+    TLT: { symbol: '453850.KS', name: 'ACE 미국30년국채액티브(H)' },
+    IEF: { symbol: '305080.KS', name: 'TIGER 미국채10년선물' },
+    IEI: { symbol: '305080.KS', name: 'TIGER 미국채10년선물' },
+    SHY: { symbol: '329750.KS', name: 'TIGER 미국달러단기채권액티브' },
+    BSV: { symbol: '329750.KS', name: 'TIGER 미국달러단기채권액티브' },
+    GLD: { symbol: '411060.KS', name: 'ACE KRX금현물' },
+    IAU: { symbol: '411060.KS', name: 'ACE KRX금현물' }
+};
+
+// Swap items for their KRX equivalents (weights of items mapping to the same ETF are combined)
+function toKrwEquivalents(items) {
+    const merged = new Map();
+    const unmapped = [];
+    items.forEach(item => {
+        const equivalent = KRW_ETF_EQUIVALENTS[item.symbol];
+        if (!equivalent) unmapped.push(item.symbol);
+        const target = equivalent ? { ...equivalent } : { symbol: item.symbol, name: item.name };
+        const existing = merged.get(target.symbol);
+        if (existing) {
+            existing.weight += item.weight;
+        } else {
+            merged.set(target.symbol, { ...target, weight: item.weight });
+        }
+    });
+    return { items: [...merged.values()], unmapped };
+}
+
+// Quantities for a KRW budget: targets carry { weight, price, fxRate } (KRW per share = price * fxRate).
+// Whole shares are floored, then leftover cash buys single shares for the most underweight holdings
+// while that brings them closer to target; fractional quantities keep 4 decimals.
+function allocateShares(targets, budgetKRW, wholeShares = true) {
+    const scale = wholeShares ? 1 : 10000;
+    const lots = targets.map(target => {
+        const costKRW = target.price > 0 && target.fxRate > 0 ? target.price * target.fxRate : 0;
+        const quantity = costKRW > 0 ? Math.floor(budgetKRW * target.weight / costKRW * scale) / scale : 0;
+        return { ...target, costKRW, quantity };
+    });
+
+    let leftoverKRW = budgetKRW - lots.reduce((sum, lot) => sum + lot.quantity * lot.costKRW, 0);
+    if (wholeShares) {
+        for (;;) {
+            let best = null;
+            let bestGap = 0;
+            lots.forEach(lot => {
+                const gap = budgetKRW * lot.weight - lot.quantity * lot.costKRW;
+                if (lot.costKRW > 0 && lot.costKRW <= leftoverKRW && gap > lot.costKRW / 2 && gap > bestGap) {
+                    best = lot;
+                    bestGap = gap;
+                }
+            });
+            if (!best) break;
+            best.quantity += 1;
+            leftoverKRW -= best.costKRW;
+        }
+    }
+    return { lots, leftoverKRW: Math.max(0, leftoverKRW) };
+}
+
+let copyTargetId = null;
+
+// Opens the copy dialog for a model portfolio
 async function copyPortfolio(pfId) {
     const pf = recommendedPortfolios.find(p => p.id === pfId);
     if (!pf) return;
+    copyTargetId = pfId;
+
+    if (!getKRWRate(baseCurrency)) await fetchExchangeRate();
+    document.getElementById('copy-modal-title').textContent = `'${pf.name}' 시작하기`;
+    document.getElementById('copy-amount').value = Math.round(toBase(DEFAULT_COPY_AMOUNT_KRW) / baseInputUnit().multiplier);
+    updateBaseCurrencyLabels();
+    document.getElementById('copy-modal').style.display = 'flex';
+}
+
+function getCopyOptions() {
+    const amount = parseFloat(document.getElementById('copy-amount').value);
+    return {
+        amountKRW: isNaN(amount) || amount <= 0 ? 0 : amount * baseInputUnit().multiplier * (getKRWRate(baseCurrency) || 1),
+        mode: document.getElementById('copy-mode').value, // 'replace' | 'merge'
+        wholeShares: document.getElementById('copy-whole-shares').checked,
+        krwEquivalents: document.getElementById('copy-krw-etf').checked
+    };
+}
+
+async function executeCopyPortfolio() {
+    const pf = recommendedPortfolios.find(p => p.id === copyTargetId);
+    if (!pf) return;
 
-    if (!confirm(`'${pf.name}' 포트폴리오를 복사하시겠습니까?\n\n주의: 기존 포트폴리오가 모두 삭제되고, 총 1,000만 원 기준으로 수량이 자동 계산되어 입력됩니다.`)) {
+    const options = getCopyOptions();
+    if (options.amountKRW <= 0) {
+        alert('투자 금액을 입력해주세요.');
         return;
     }
+    if (options.mode === 'replace' && Object.keys(portfolio).length > 0 &&
+        !confirm(`'${portfolios[activePortfolioId].name}'의 기존 종목이 모두 삭제됩니다. 계속하시겠습니까?`)) {
+        return;
+    }
+    document.getElementById('copy-modal').style.display = 'none';
 
     // Show Loading
     const loading = document.getElementById('recommend-loading');
@@ -866,43 +2171,60 @@ async function copyPortfolio(pfId) {
     loading.style.display = 'block';
 
     try {
-        // Clear Portfolio
-        portfolio = {};
-
-        // Investment Amount
-        const totalInvestmentKRW = 10000000; // 10 million KRW
-
-        // Fetch Exchange Rate
-        await fetchExchangeRate();
-        const exchangeRate = currentExchangeRate > 0 ? currentExchangeRate : 1400;
+        const { items, unmapped } = options.krwEquivalents
+            ? toKrwEquivalents(pf.items)
+            : { items: pf.items, unmapped: [] };
 
-        // Calculate Quantity for each item
-        for (const item of pf.items) {
-            // Fetch Current Price to calculate quantity
+        // Current price and quote currency of every target
+        const targets = [];
+        for (const item of items) {
             const data = await fetchStockData(item.symbol, '1d', '1m'); // fast fetch one point
-            const priceUSD = data ? data.currentPrice : 0;
-
-            if (priceUSD > 0) {
-                // Allocation Amount in KRW
-                const allocKRW = totalInvestmentKRW * item.weight;
+            const currency = (data && data.currency) || inferCurrency(item.symbol);
+            if (!getKRWRate(currency)) await fetchExchangeRate([currency]);
+            targets.push({ ...item, currency, price: data ? data.currentPrice : 0, fxRate: getKRWRate(currency) });
+        }
 
-                // Convert to USD
-                const allocUSD = allocKRW / exchangeRate;
+        const { lots, leftoverKRW } = allocateShares(targets, options.amountKRW, options.wholeShares);
 
-                // Quantity
-                const qty = allocUSD / priceUSD;
+        if (options.mode === 'replace') {
+            // The model becomes the target allocation the rebalancing planner steers back to
+            portfolio = {};
+            const previous = portfolios[activePortfolioId].target;
+            portfolios[activePortfolioId].target = normalizeTargetAllocation({
+                weights: Object.fromEntries(lots.map(lot => [lot.symbol, lot.weight])),
+                band: previous ? previous.band : DEFAULT_TARGET_BAND
+            });
+        }
+        // Replacing starts from opening positions (held for the whole analysis window);
+        // merging records today's purchases next to the existing history
+        const date = options.mode === 'merge' ? formatDateKey(Date.now() / 1000) : null;
+
+        lots.filter(lot => lot.quantity > 0).forEach(lot => {
+            const tx = createTransaction({ type: 'buy', date, quantity: lot.quantity, price: lot.price, fxRate: lot.fxRate });
+            if (portfolio[lot.symbol]) {
+                portfolio[lot.symbol].transactions.push(tx);
+            } else {
+                portfolio[lot.symbol] = { symbol: lot.symbol, name: lot.name, currency: lot.currency, transactions: [tx] };
+            }
+        });
 
-                // Add to Portfolio
-                portfolio[item.symbol] = {
-                    symbol: item.symbol,
-                    name: item.name,
-                    currency: 'USD',
-                    quantity: parseFloat(qty.toFixed(4)) // Keep decimal for precision
-                };
+        // Leftover Cash (rounding, or holdings that couldn't be priced), kept in the reporting currency when possible
+        const cashCurrency = CASH_CURRENCIES.includes(baseCurrency) ? baseCurrency : 'KRW';
+        const cashAmount = cashCurrency === 'KRW'
+            ? Math.floor(leftoverKRW)
+            : Math.floor(leftoverKRW / getKRWRate(cashCurrency) * 100) / 100;
+        if (cashAmount > 0) {
+            const cashTx = createCashDeposit(cashCurrency, cashAmount, date);
+            const existingCash = portfolio[cashSymbol(cashCurrency)];
+            if (existingCash) {
+                existingCash.transactions.push(cashTx);
+            } else {
+                portfolio[cashSymbol(cashCurrency)] = { ...createCashItem(cashCurrency), transactions: [cashTx] };
             }
         }
 
         savePortfolio();
+        alert(formatCopyReport(pf, options, lots, leftoverKRW, unmapped));
 
         // Switch to Portfolio Tab
         switchTab('tab-portfolio');
@@ -917,9 +2239,273 @@ async function copyPortfolio(pfId) {
     }
 }
 
+// Summary shown after copying: what was bought, actual vs target weights and the leftover cash
+function formatCopyReport(pf, options, lots, leftoverKRW, unmapped) {
+    const spentKRW = options.amountKRW - leftoverKRW;
+    const lines = [
+        `'${pf.name}' 포트폴리오를 ${options.mode === 'merge' ? '추가' : '복사'}했습니다.`,
+        '',
+        `투자 금액 ${formatBase(options.amountKRW)} · 매수 ${formatBase(spentKRW)}`
+    ];
+    lots.forEach(lot => {
+        if (lot.quantity <= 0) {
+            lines.push(`${lot.symbol}: 가격 조회 실패 또는 1주 가격 초과`);
+            return;
+        }
+        const actual = lot.quantity * lot.costKRW / options.amountKRW * 100;
+        const qtyText = options.wholeShares ? `${lot.quantity}주` : `${lot.quantity.toFixed(4)}주`;
+        lines.push(`${lot.symbol} ${qtyText} (목표 ${(lot.weight * 100).toFixed(1)}% · 실제 ${actual.toFixed(1)}%)`);
+    });
+    lines.push(`잔여 현금 ${formatBase(leftoverKRW)} (${(leftoverKRW / options.amountKRW * 100).toFixed(1)}%)`);
+    if (unmapped.length > 0) lines.push('', `국내 ETF 대체 없음 (해외 ETF 유지): ${unmapped.join(', ')}`);
+    return lines.join('\n');
+}
+
 // Ensure global scope for button onclick
 window.copyPortfolio = copyPortfolio;
 
+// --- Custom Model Editor & Sharing ---
+// Add or update a custom model (already validated); returns the stored entry
+function saveCustomPortfolio(model) {
+    let pf = recommendedPortfolios.find(p => p.custom && p.id === model.id);
+    if (pf) {
+        Object.assign(pf, model);
+    } else {
+        pf = { ...model, id: createCustomModelId() };
+        recommendedPortfolios.push(pf);
+    }
+
+    persistCustomPortfolios();
+    saveToDrive();
+    refreshModelPortfolioChoices();
+    renderRecommendationCard(pf);
+    return pf;
+}
+
+function deleteCustomPortfolio(id) {
+    const index = recommendedPortfolios.findIndex(p => p.custom && p.id === id);
+    if (index < 0) return;
+    if (!confirm(`'${recommendedPortfolios[index].name}' 포트폴리오를 삭제하시겠습니까?`)) return;
+
+    recommendedPortfolios.splice(index, 1);
+    benchmarkOverlays = benchmarkOverlays.filter(o => o !== `pf:${id}`);
+    localStorage.setItem('benchmarkOverlays', JSON.stringify(benchmarkOverlays));
+    persistCustomPortfolios();
+    saveToDrive();
+
+    const chart = Chart.getChart(`rec-chart-${id}`);
+    if (chart) chart.destroy();
+    const card = document.getElementById(`rec-card-${id}`);
+    if (card) card.remove();
+    refreshModelPortfolioChoices();
+}
+
+// Rebuild the selects/checklists that list model portfolios
+function refreshModelPortfolioChoices() {
+    const benchmarkSelect = document.getElementById('benchmark-select');
+    const previous = benchmarkSelect.value;
+    benchmarkSelect.innerHTML = getBenchmarkOptions()
+        .map(option => `<option value="${option.id}">${option.label}</option>`)
+        .join('');
+    benchmarkSelect.value = getBenchmarkOptions().some(o => o.id === previous) ? previous : 'index:sp500';
+
+    const projectionSource = document.getElementById('projection-source');
+    const previousSource = projectionSource.value;
+    projectionSource.querySelectorAll('option:not([value="current"])').forEach(opt => opt.remove());
+    recommendedPortfolios.forEach(pf => {
+        const opt = document.createElement('option');
+        opt.value = pf.id;
+        opt.textContent = pf.name;
+        projectionSource.appendChild(opt);
+    });
+    projectionSource.value = recommendedPortfolios.some(pf => pf.id === previousSource) ? previousSource : 'current';
+
+    renderBenchmarkOverlayOptions();
+    renderComparisonOptions();
+    renderTargetModelOptions();
+}
+
+// Share string: URL-safe base64 of the model's JSON (UTF-8, so Korean names survive)
+function encodeModelShare(pf) {
+    const json = JSON.stringify(exportModelPortfolio(pf));
+    let binary = '';
+    new TextEncoder().encode(json).forEach(byte => { binary += String.fromCharCode(byte); });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function decodeModelShare(code) {
+    const base64 = code.replace(/-/g, '+').replace(/_/g, '/');
+    const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+    return JSON.parse(new TextDecoder().decode(Uint8Array.from(binary, c => c.charCodeAt(0))));
+}
+
+function exportModelPortfolio(pf) {
+    return {
+        name: pf.name,
+        desc: pf.desc,
+        rebalance: pf.rebalance,
+        items: pf.items.map(({ symbol, weight, name }) => ({ symbol, weight, name }))
+    };
+}
+
+function getModelShareUrl(pf) {
+    return `${location.origin}${location.pathname}#${MODEL_SHARE_PARAM}=${encodeModelShare(pf)}`;
+}
+
+// Accepts exported JSON, a share string, or a full share URL
+function parseModelImport(text) {
+    const trimmed = String(text || '').trim();
+    let raw;
+    if (trimmed.startsWith('{')) {
+        raw = JSON.parse(trimmed);
+    } else {
+        const marker = `#${MODEL_SHARE_PARAM}=`;
+        const code = trimmed.includes(marker) ? trimmed.slice(trimmed.indexOf(marker) + marker.length) : trimmed;
+        raw = decodeModelShare(decodeURIComponent(code));
+    }
+
+    const model = normalizeModelPortfolio(raw, { detectPercent: true });
+    if (model) model.id = null; // always imported as a new model
+    return model;
+}
+
+function importModelPortfolio(text) {
+    let model;
+    try {
+        model = parseModelImport(text);
+    } catch (e) {
+        alert('가져올 수 없는 형식입니다. JSON 또는 공유 링크를 붙여넣어주세요.');
+        return null;
+    }
+
+    const error = validateModelPortfolio(model);
+    if (error) {
+        alert(error);
+        return null;
+    }
+    return saveCustomPortfolio(model);
+}
+
+async function copyText(text, message) {
+    try {
+        await navigator.clipboard.writeText(text);
+        alert(message);
+    } catch (e) {
+        prompt('아래 내용을 복사하세요.', text);
+    }
+}
+
+function shareCustomPortfolio(id, format) {
+    const pf = recommendedPortfolios.find(p => p.id === id);
+    if (!pf) return;
+    if (format === 'json') {
+        copyText(JSON.stringify(exportModelPortfolio(pf), null, 2), 'JSON을 클립보드에 복사했습니다.');
+    } else {
+        copyText(getModelShareUrl(pf), '공유 링크를 클립보드에 복사했습니다.\n다른 브라우저에서 열면 같은 포트폴리오가 추가됩니다.');
+    }
+}
+
+// Opened through a share link: offer to add the model, then drop the hash
+function openSharedModelFromUrl() {
+    const marker = `#${MODEL_SHARE_PARAM}=`;
+    if (!location.hash.startsWith(marker)) return;
+
+    let model = null;
+    try {
+        model = parseModelImport(location.hash);
+    } catch (e) {
+        console.warn('Invalid shared model', e);
+    }
+    history.replaceState(null, '', location.pathname + location.search);
+
+    if (validateModelPortfolio(model)) {
+        alert('공유된 포트폴리오를 불러올 수 없습니다.');
+        return;
+    }
+    const summary = model.items.map(item => `${item.symbol} ${(item.weight * 100).toFixed(1)}%`).join(', ');
+    if (!confirm(`공유된 '${model.name}' 포트폴리오를 추가하시겠습니까?\n\n${summary}`)) return;
+
+    saveCustomPortfolio(model);
+    switchTab('tab-recommend');
+}
+
+function addModelEditorRow(item = {}) {
+    const row = document.createElement('tr');
+    row.innerHTML = `
+        <td><input type="text" class="model-symbol" placeholder="SPY" value="${item.symbol || ''}"></td>
+        <td><input type="text" class="model-item-name" placeholder="이름 (선택)" value="${item.name || ''}"></td>
+        <td><input type="number" class="model-weight" min="0" max="100" step="0.1" value="${item.weight ? +(item.weight * 100).toFixed(4) : ''}"></td>
+        <td><button type="button" class="action-btn remove">삭제</button></td>
+    `;
+    row.querySelector('.remove').addEventListener('click', () => {
+        row.remove();
+        updateModelWeightSum();
+    });
+    row.querySelector('.model-weight').addEventListener('input', updateModelWeightSum);
+    document.getElementById('model-items').appendChild(row);
+}
+
+// Model from the editor form (blank rows ignored, weights in percent)
+function readModelEditor() {
+    const items = [];
+    document.querySelectorAll('#model-items tr').forEach(row => {
+        const symbol = row.querySelector('.model-symbol').value;
+        const name = row.querySelector('.model-item-name').value;
+        const weight = row.querySelector('.model-weight').value;
+        if (!symbol.trim() && !name.trim() && weight === '') return;
+        items.push({ symbol, name, weight: weight === '' ? NaN : parseFloat(weight) / 100 });
+    });
+
+    return normalizeModelPortfolio({
+        id: editingModelId,
+        name: document.getElementById('model-name').value,
+        desc: document.getElementById('model-desc').value,
+        rebalance: document.getElementById('model-rebalance').value,
+        items
+    });
+}
+
+function updateModelWeightSum() {
+    let total = 0;
+    document.querySelectorAll('#model-items .model-weight').forEach(input => {
+        total += parseFloat(input.value) || 0;
+    });
+    const el = document.getElementById('model-weight-sum');
+    el.textContent = `합계 ${total.toFixed(2)}%`;
+    el.className = Math.abs(total - 100) > 0.01 ? 'text-down' : 'text-up';
+}
+
+function openModelEditor(id = null) {
+    const pf = id ? recommendedPortfolios.find(p => p.custom && p.id === id) : null;
+    editingModelId = pf ? pf.id : null;
+
+    document.getElementById('model-editor-title').textContent = pf ? '포트폴리오 편집' : '나만의 포트폴리오 만들기';
+    document.getElementById('model-name').value = pf ? pf.name : '';
+    document.getElementById('model-desc').value = pf ? pf.desc : '';
+    document.getElementById('model-rebalance').value = pf ? pf.rebalance : DEFAULT_RECOMMEND_REBALANCE;
+    document.getElementById('model-items').innerHTML = '';
+    (pf ? pf.items : [{}, {}]).forEach(item => addModelEditorRow(item));
+    updateModelWeightSum();
+
+    document.getElementById('model-editor-modal').style.display = 'flex';
+}
+
+function saveModelEditor() {
+    const model = readModelEditor();
+    const error = validateModelPortfolio(model);
+    if (error) {
+        alert(error);
+        return;
+    }
+    saveCustomPortfolio(model);
+    document.getElementById('model-editor-modal').style.display = 'none';
+}
+
+// Ensure global scope for button onclick
+window.openModelEditor = openModelEditor;
+window.shareCustomPortfolio = shareCustomPortfolio;
+window.deleteCustomPortfolio = deleteCustomPortfolio;
+
 async function handleSearch(range = '5y', interval = '1mo', chartType = null) {
     const input = document.getElementById('stock-code');
     const exchangeSelect = document.getElementById('exchange-select');
@@ -1021,40 +2607,404 @@ async function handleSearch(range = '5y', interval = '1mo', chartType = null) {
         charts['searchResult'] = new Chart(ctx, config);
     }
 
-    // Update Chart and Price
-    updateChartUI(charts['searchResult'], data, 'search', true, currentChartType);
+    // Update Chart and Price (or the comparison when symbols were added)
+    compareSymbols = compareSymbols.filter(s => s !== symbol);
+    renderCompareChips();
+    await renderSearchChart();
+    if (shouldFetchNewData) {
+        updateSearchVolumeStats(symbol);
+        updateSearchFundamentals(symbol);
+    }
 
     // Update Portfolio Button State
     updatePortfolioButton(symbol);
+    rememberSymbol(symbol, data.name);
 }
 
-// General Chart Update Handler
-async function handleChartUpdate(chartId, range, interval, type) {
-    // Find the state object or handle search result
-    let targetState = null;
-    let symbol = '';
-
-    if (chartId === 'search') {
-        // Search result handling: If range is not provided (type toggle), use existing
-        const nextRange = range || (lastFetchedData ? lastFetchedData.range : undefined);
-        const nextInterval = interval || (lastFetchedData ? lastFetchedData.interval : undefined);
-        handleSearch(nextRange, nextInterval, type);
-        return;
-    } else {
-        targetState = indices.find(i => i.id === chartId);
-        if (targetState) {
-            // Update state
-            if (range) {
-                targetState.range = range;
-                targetState.interval = interval;
-            }
-            if (type) {
-                targetState.type = type;
-            }
-            symbol = targetState.symbol;
-        } else {
-            return;
-        }
+// --- Symbol Autocomplete ---
+// Suggestions come from the bundled symbols.json (KOSPI/KOSDAQ/US), cached in localStorage so the
+// typeahead works offline, plus symbols the user has searched successfully that aren't in the list.
+const SYMBOL_LIST_URL = 'symbols.json';
+const SYMBOL_SUGGESTION_LIMIT = 8;
+const LEARNED_SYMBOL_LIMIT = 200;
+const SYMBOL_MARKET_LABELS = { KOSPI: '코스피', KOSDAQ: '코스닥', US: '미국', OTHER: '기타' };
+const HANGUL_INITIALS = 'ㄱㄲㄴㄷㄸㄹㅁㅂㅃㅅㅆㅇㅈㅉㅊㅋㅌㅍㅎ';
+
+let symbolList = { updated: null, symbols: [] }; // symbols: [{ symbol, nameKo, nameEn, market }]
+let learnedSymbols = [];
+try {
+    const savedSymbols = JSON.parse(localStorage.getItem('learnedSymbols'));
+    if (Array.isArray(savedSymbols)) {
+        learnedSymbols = savedSymbols.filter(s => s && typeof s.symbol === 'string' && s.symbol);
+    }
+} catch (e) {
+    console.error('Failed to load searched symbols', e);
+}
+let symbolIndex = [];
+
+function getSymbolMarket(symbol) {
+    if (symbol.endsWith('.KS')) return 'KOSPI';
+    if (symbol.endsWith('.KQ')) return 'KOSDAQ';
+    return symbol.includes('.') ? 'OTHER' : 'US';
+}
+
+// '삼성전자' -> 'ㅅㅅㅈㅈ' so users can type initials only
+function toHangulInitials(text) {
+    return Array.from(text).map(ch => {
+        const code = ch.charCodeAt(0) - 0xAC00;
+        return code >= 0 && code < 11172 ? HANGUL_INITIALS[Math.floor(code / 588)] : ch;
+    }).join('');
+}
+
+function normalizeSymbolQuery(text) {
+    return String(text || '').toLowerCase().replace(/[\s\-.&()]/g, '');
+}
+
+// symbols.json stores rows as arrays in `fields` order to keep the file small
+function parseSymbolList(raw) {
+    if (!raw || !Array.isArray(raw.symbols)) throw new Error('잘못된 종목 목록 형식입니다.');
+    const fields = raw.fields || ['symbol', 'nameKo', 'nameEn', 'market'];
+    const symbols = raw.symbols.map(row => {
+        const entry = Array.isArray(row) ? Object.fromEntries(fields.map((f, i) => [f, row[i]])) : row;
+        const symbol = String(entry.symbol || '').toUpperCase();
+        return {
+            symbol,
+            nameKo: entry.nameKo || '',
+            nameEn: entry.nameEn || '',
+            market: entry.market || getSymbolMarket(symbol)
+        };
+    }).filter(entry => entry.symbol);
+    return { updated: raw.updated || null, symbols };
+}
+
+function buildSymbolIndex() {
+    const known = new Set(symbolList.symbols.map(s => s.symbol));
+    const entries = [...symbolList.symbols, ...learnedSymbols.filter(s => !known.has(s.symbol))];
+    symbolIndex = entries.map(entry => ({
+        entry,
+        code: normalizeSymbolQuery(entry.symbol.split('.')[0]),
+        ko: normalizeSymbolQuery(entry.nameKo),
+        en: normalizeSymbolQuery(entry.nameEn),
+        initials: toHangulInitials(normalizeSymbolQuery(entry.nameKo))
+    }));
+}
+
+// The cached copy gives instant (and offline) suggestions; the bundled file is then revalidated
+// on every load, so updates to symbols.json reach returning users without a manual refresh.
+async function loadSymbolList() {
+    try {
+        const cached = JSON.parse(localStorage.getItem('symbolList'));
+        if (cached) symbolList = parseSymbolList(cached);
+    } catch (e) {
+        console.warn('Invalid cached symbol list, reloading', e);
+    }
+    buildSymbolIndex();
+
+    try {
+        await refreshSymbolList(false);
+    } catch (e) {
+        console.warn(`Symbol list unavailable, ${symbolList.symbols.length > 0 ? 'keeping the cached copy' : 'suggesting searched symbols only'}`, e);
+    }
+}
+
+// bypassCache re-downloads past the HTTP cache (the ↻ button); otherwise the browser may revalidate
+async function refreshSymbolList(bypassCache = true) {
+    const url = bypassCache ? `${SYMBOL_LIST_URL}?t=${Date.now()}` : SYMBOL_LIST_URL;
+    const response = await fetch(url, bypassCache ? { cache: 'no-store' } : {});
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    const raw = await response.json();
+    symbolList = parseSymbolList(raw);
+    localStorage.setItem('symbolList', JSON.stringify(raw));
+    buildSymbolIndex();
+    return symbolList;
+}
+
+async function handleRefreshSymbolList() {
+    const btn = document.getElementById('symbol-refresh-btn');
+    btn.disabled = true;
+    try {
+        const list = await refreshSymbolList();
+        alert(`종목 목록을 갱신했습니다. (${list.symbols.length}개${list.updated ? `, 기준일 ${list.updated}` : ''})`);
+    } catch (e) {
+        alert('종목 목록을 불러오지 못했습니다: ' + e.message);
+    } finally {
+        btn.disabled = false;
+    }
+}
+
+// Symbols found through a successful search become suggestions too
+function rememberSymbol(symbol, name) {
+    if (!symbol || symbolList.symbols.some(s => s.symbol === symbol)) return;
+    const isKorean = /[가-힣]/.test(name || '');
+    const entry = {
+        symbol,
+        nameKo: isKorean ? name : '',
+        nameEn: isKorean ? '' : (name || ''),
+        market: getSymbolMarket(symbol)
+    };
+    learnedSymbols = [entry, ...learnedSymbols.filter(s => s.symbol !== symbol)].slice(0, LEARNED_SYMBOL_LIMIT);
+    localStorage.setItem('learnedSymbols', JSON.stringify(learnedSymbols));
+    buildSymbolIndex();
+}
+
+// Ranking: exact code, code prefix, name prefix, name contains (or every word does), Hangul initials, partial code
+function searchSymbols(query, limit = SYMBOL_SUGGESTION_LIMIT) {
+    const q = normalizeSymbolQuery(query);
+    if (!q) return [];
+    const initialsOnly = /^[ㄱ-ㅎ]+$/.test(q);
+    const words = String(query).trim().split(/\s+/).map(normalizeSymbolQuery).filter(Boolean);
+
+    const scoreOf = item => {
+        if (initialsOnly) return item.initials.startsWith(q) ? 4 : item.initials.includes(q) ? 5 : -1;
+        if (item.code === q) return 0;
+        if (item.code.startsWith(q)) return 1;
+        if (item.ko.startsWith(q) || item.en.startsWith(q)) return 2;
+        if (item.ko.includes(q) || item.en.includes(q)) return 3;
+        if (words.length > 1 && words.every(w => item.ko.includes(w) || item.en.includes(w))) return 3;
+        if (q.length >= 2 && item.code.includes(q)) return 6;
+        return -1;
+    };
+
+    return symbolIndex
+        .map(item => ({ item, score: scoreOf(item) }))
+        .filter(r => r.score >= 0)
+        .sort((a, b) => a.score - b.score || a.item.code.length - b.item.code.length ||
+            (a.item.ko || a.item.en).length - (b.item.ko || b.item.en).length)
+        .slice(0, limit)
+        .map(r => r.item.entry);
+}
+
+// Wires a dropdown to an input/exchange-select pair; onSelect runs after the fields are filled in
+function attachSymbolAutocomplete(input, exchangeSelect, onSelect) {
+    const list = document.createElement('ul');
+    list.className = 'symbol-suggestions';
+    input.after(list); // inside its .symbol-autocomplete wrapper
+
+    let results = [];
+    let activeIndex = -1;
+
+    const close = () => {
+        list.style.display = 'none';
+        results = [];
+        activeIndex = -1;
+    };
+
+    const setActive = index => {
+        activeIndex = index;
+        list.querySelectorAll('li').forEach((li, i) => li.classList.toggle('active', i === index));
+    };
+
+    const select = entry => {
+        const market = entry.market || getSymbolMarket(entry.symbol);
+        const suffix = market === 'KOSPI' ? '.KS' : market === 'KOSDAQ' ? '.KQ' : '';
+        exchangeSelect.value = suffix;
+        input.value = suffix ? entry.symbol.slice(0, -suffix.length) : entry.symbol;
+        close();
+        onSelect(entry);
+    };
+
+    const render = () => {
+        results = searchSymbols(input.value);
+        list.innerHTML = '';
+        results.forEach((entry, i) => {
+            const li = document.createElement('li');
+            const name = document.createElement('span');
+            name.className = 'symbol-suggestion-name';
+            name.textContent = entry.nameKo || entry.nameEn;
+            const meta = document.createElement('span');
+            meta.className = 'symbol-suggestion-meta';
+            meta.textContent = `${entry.symbol} · ${SYMBOL_MARKET_LABELS[entry.market] || entry.market}`;
+            li.append(name, meta);
+            if (entry.nameKo && entry.nameEn) li.title = entry.nameEn;
+            // mousedown fires before the input's blur closes the list
+            li.addEventListener('mousedown', e => {
+                e.preventDefault();
+                select(entry);
+            });
+            li.addEventListener('mouseenter', () => setActive(i));
+            list.appendChild(li);
+        });
+        activeIndex = -1;
+        list.style.display = results.length > 0 ? 'block' : 'none';
+    };
+
+    input.addEventListener('input', render);
+    input.addEventListener('focus', () => { if (input.value.trim()) render(); });
+    input.addEventListener('blur', close);
+    input.addEventListener('keydown', e => {
+        if (results.length === 0) return;
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            const step = e.key === 'ArrowDown' ? 1 : -1;
+            setActive((activeIndex + step + results.length) % results.length);
+        } else if (e.key === 'Enter' && activeIndex >= 0) {
+            e.preventDefault(); // also suppresses the keypress search of the raw text
+            select(results[activeIndex]);
+        } else if (e.key === 'Escape' || e.key === 'Enter') {
+            close();
+        }
+    });
+}
+
+// --- Search Comparison ---
+// Extra symbols drawn against the searched one on a shared time axis; KRX and US listings mix
+// freely since every series is rebased to its own price at the common start.
+const MAX_COMPARE_SYMBOLS = 4;
+let compareSymbols = [];
+let compareMode = 'rebased'; // 'rebased' = start at 100, 'percent' = % change from the start
+
+// Six-digit codes are KRX listings (코스피 unless the exchange says otherwise);
+// anything outside the ticker charset is dropped, as for model portfolio symbols
+function normalizeCompareSymbol(raw, suffix) {
+    const symbol = String(raw || '').toUpperCase().replace(/[^A-Z0-9.\-=^]/g, '');
+    if (!symbol || symbol.includes('.')) return symbol;
+    if (suffix) return symbol + suffix;
+    return /^\d{6}$/.test(symbol) ? `${symbol}.KS` : symbol;
+}
+
+// seriesList: [[{ time, c }]] -> [[{ x, y }]] based at the latest first timestamp
+// (series that don't overlap at all, e.g. intraday KRX vs US, start from their own first point)
+function rebaseComparisonSeries(seriesList, mode = 'rebased') {
+    const commonStart = Math.max(...seriesList.map(s => s[0].time));
+    const overlap = commonStart <= Math.min(...seriesList.map(s => s[s.length - 1].time));
+
+    return seriesList.map(series => {
+        const start = overlap ? series.filter(p => p.time <= commonStart).pop() : series[0];
+        const base = start.c;
+        return series
+            .filter(p => p.time >= start.time && p.c > 0)
+            .map(p => ({ x: p.time * 1000, y: mode === 'percent' ? (p.c / base - 1) * 100 : p.c / base * 100 }));
+    });
+}
+
+async function addCompareSymbol() {
+    const input = document.getElementById('compare-code');
+    const symbol = normalizeCompareSymbol(input.value, document.getElementById('compare-exchange').value);
+    if (!symbol) return;
+    input.value = '';
+    if (symbol === currentSearchSymbol || compareSymbols.includes(symbol)) return;
+    if (compareSymbols.length >= MAX_COMPARE_SYMBOLS) {
+        alert(`비교 종목은 최대 ${MAX_COMPARE_SYMBOLS}개까지 추가할 수 있습니다.`);
+        return;
+    }
+
+    compareSymbols.push(symbol);
+    renderCompareChips();
+    await renderSearchChart();
+}
+
+async function removeCompareSymbol(symbol) {
+    compareSymbols = compareSymbols.filter(s => s !== symbol);
+    renderCompareChips();
+    await renderSearchChart();
+}
+
+function renderCompareChips() {
+    const container = document.getElementById('compare-chips');
+    container.innerHTML = '';
+    compareSymbols.forEach(symbol => {
+        const chip = document.createElement('span');
+        chip.className = 'compare-chip';
+        chip.textContent = symbol;
+        const btn = document.createElement('button');
+        btn.title = '비교 해제';
+        btn.textContent = '×';
+        btn.addEventListener('click', () => removeCompareSymbol(symbol));
+        chip.appendChild(btn);
+        container.appendChild(chip);
+    });
+    document.querySelector('.compare-mode').style.display = compareSymbols.length > 0 ? 'flex' : 'none';
+}
+
+// Search chart: the usual price chart, or the comparison once symbols are added
+async function renderSearchChart() {
+    const chart = charts['searchResult'];
+    if (!chart || !lastFetchedData) return;
+
+    // Options the comparison view changes
+    chart.config.options.plugins.legend = { display: false };
+    delete chart.config.options.scales.y.ticks.callback;
+    document.getElementById('compare-note').textContent = '';
+
+    if (compareSymbols.length === 0) {
+        updateChartUI(chart, lastFetchedData, 'search', true, currentChartType);
+    } else {
+        await updateComparisonChart(chart, lastFetchedData);
+    }
+}
+
+async function updateComparisonChart(chart, data) {
+    const { range, interval } = data;
+    const others = await Promise.all(compareSymbols.map(async symbol => {
+        try {
+            return { symbol, data: await fetchStockData(symbol, range, interval) };
+        } catch (e) {
+            return { symbol, data: null };
+        }
+    }));
+    if (data !== lastFetchedData) return; // the search moved on while loading
+
+    const all = [{ symbol: data.symbol, data }, ...others];
+    const valid = all.filter(s => s.data && s.data.ohlc.length > 0);
+    const failed = all.filter(s => !valid.includes(s)).map(s => s.symbol);
+    const rebased = rebaseComparisonSeries(valid.map(s => s.data.ohlc), compareMode);
+
+    chart.config.type = 'line';
+    chart.config.options.scales.x.type = 'time';
+    chart.config.options.scales.x.time = { displayFormats: { day: 'MM/dd', month: 'yyyy/MM' } };
+    delete chart.config.options.scales.volume;
+    delete chart.config.options.scales.y.afterFit;
+    chart.config.options.scales.y.ticks.callback = value => compareMode === 'percent' ? `${value}%` : value;
+    chart.config.options.plugins.legend = {
+        display: true,
+        labels: { color: '#fff', boxWidth: 12 } // click a label to hide/show its series
+    };
+
+    chart.data.labels = [];
+    chart.data.datasets = valid.map((s, i) => ({
+        label: `${s.data.name} (${s.symbol})`,
+        data: rebased[i],
+        borderColor: COMPARISON_COLORS[i % COMPARISON_COLORS.length],
+        borderWidth: i === 0 ? 2 : 1.5,
+        pointRadius: 0,
+        fill: false
+    }));
+    chart.update('none');
+
+    clearIndicatorPanels(chart, 'search');
+    updateSearchPriceDisplay(data.currentPrice, data.prevClose);
+    const modeText = compareMode === 'percent' ? '시작일 대비 등락률' : '시작일 = 100';
+    document.getElementById('compare-note').textContent =
+        `${modeText} · 라벨을 누르면 숨김/표시${failed.length ? ` · 불러오지 못한 종목: ${failed.join(', ')}` : ''}`;
+}
+
+// General Chart Update Handler
+async function handleChartUpdate(chartId, range, interval, type) {
+    // Find the state object or handle search result
+    let targetState = null;
+    let symbol = '';
+
+    if (chartId === 'search') {
+        // Search result handling: If range is not provided (type toggle), use existing
+        const nextRange = range || (lastFetchedData ? lastFetchedData.range : undefined);
+        const nextInterval = interval || (lastFetchedData ? lastFetchedData.interval : undefined);
+        handleSearch(nextRange, nextInterval, type);
+        return;
+    } else {
+        targetState = indices.find(i => i.id === chartId);
+        if (targetState) {
+            // Update state
+            if (range) {
+                targetState.range = range;
+                targetState.interval = interval;
+            }
+            if (type) {
+                targetState.type = type;
+            }
+            symbol = targetState.symbol;
+        } else {
+            return;
+        }
     }
 
     // Identify UI elements
@@ -1089,252 +3039,2876 @@ async function handleChartUpdate(chartId, range, interval, type) {
 // Portfolio State
 let portfolio = {};
 
-// Load and Migrate
-try {
-    const saved = JSON.parse(localStorage.getItem('myPortfolio'));
-    if (saved) {
-        if (Array.isArray(saved)) {
-            // Migrate Array to Object
-            saved.forEach(item => {
-                portfolio[item.symbol] = item;
-            });
-            savePortfolio();
-        } else {
-            portfolio = saved;
-        }
-    }
-} catch (e) {
-    console.error('Failed to load portfolio', e);
-    portfolio = {};
+// --- Currencies & Exchange Rates ---
+// Quote currencies come from the quote metadata (series.currency); the ticker suffix is only a
+// fallback for holdings saved before it was known. Rates are kept as units per USD (Yahoo's
+// `XXX=X` tickers), so any pair is a cross through USD.
+const SUFFIX_CURRENCIES = {
+    KS: 'KRW', KQ: 'KRW', T: 'JPY', HK: 'HKD', L: 'GBp', SS: 'CNY', SZ: 'CNY', TW: 'TWD', SI: 'SGD',
+    DE: 'EUR', F: 'EUR', PA: 'EUR', AS: 'EUR', MI: 'EUR', MC: 'EUR', BR: 'EUR', VI: 'EUR', HE: 'EUR',
+    SW: 'CHF', TO: 'CAD', V: 'CAD', AX: 'AUD', ST: 'SEK', OL: 'NOK', CO: 'DKK'
+};
+// Minor-unit quote currencies (London trades in pence): [major currency, units of major]
+const MINOR_CURRENCY_UNITS = { GBp: ['GBP', 0.01], GBX: ['GBP', 0.01], ZAc: ['ZAR', 0.01], ILA: ['ILS', 0.01] };
+const BASE_CURRENCIES = ['KRW', 'USD', 'EUR', 'JPY', 'HKD', 'GBP', 'CNY'];
+
+let baseCurrency = localStorage.getItem('baseCurrency') || 'KRW'; // Reporting currency for totals and analysis
+let currentExchangeRate = 1400; // KRW per USD. Default fallback
+const currentFxRates = { USD: 1, KRW: 1400 }; // Units per USD
+
+function inferCurrency(symbol) {
+    const match = symbol.match(/\.([A-Z]+)$/);
+    return (match && SUFFIX_CURRENCIES[match[1]]) || 'USD';
 }
 
-// Save Portfolio
-function savePortfolio() {
-    localStorage.setItem('myPortfolio', JSON.stringify(portfolio));
+function getItemCurrency(item) {
+    return item.currency || inferCurrency(item.symbol);
 }
 
-// Add to Portfolio
-function addToPortfolio(data) {
-    if (portfolio[data.symbol]) {
-        alert('이미 포트폴리오에 있는 종목입니다.');
-        return;
-    }
+function splitCurrency(currency) {
+    return MINOR_CURRENCY_UNITS[currency] || [currency, 1];
+}
 
-    portfolio[data.symbol] = {
-        symbol: data.symbol,
-        name: data.name,
-        currency: 'USD',
-        quantity: 1
-    };
-    savePortfolio();
-    renderPortfolioList();
-    updatePortfolioButton(data.symbol);
+// Yahoo FX ticker quoting units of `currency` per USD
+function fxSymbol(currency) {
+    return `${currency}=X`;
 }
 
-// Remove from Portfolio
-function removeFromPortfolio(symbol) {
-    if (portfolio[symbol]) {
-        delete portfolio[symbol];
-        savePortfolio();
-        renderPortfolioList();
-        updatePortfolioButton(symbol);
-    } else {
-        alert('포트폴리오에서 항목을 찾을 수 없습니다.');
-    }
+// Units of `to` per unit of `from` at the current rates (null if a rate is missing)
+function getFxRate(from, to = 'KRW') {
+    const [fromMajor, fromFactor] = splitCurrency(from);
+    const [toMajor, toFactor] = splitCurrency(to);
+    const fromPerUsd = currentFxRates[fromMajor];
+    const toPerUsd = currentFxRates[toMajor];
+    if (!fromPerUsd || !toPerUsd) return null;
+    return toPerUsd / fromPerUsd * fromFactor / toFactor;
 }
 
-// Update Portfolio Button UI
-function updatePortfolioButton(symbol) {
-    const btn = document.getElementById('add-to-portfolio-btn');
-    if (!btn) return;
+// KRW per unit of a quote currency (what the ledger's fxRate records)
+function getKRWRate(currency) {
+    return getFxRate(currency, 'KRW');
+}
 
-    if (!lastFetchedData || lastFetchedData.symbol !== symbol) return;
+// Convert a KRW amount into the reporting currency at the current rate
+function toBase(valueKRW) {
+    const rate = getKRWRate(baseCurrency);
+    return rate ? valueKRW / rate : valueKRW;
+}
 
-    // O(1) Check
-    if (portfolio[symbol]) {
-        btn.textContent = '포트폴리오에서 삭제';
-        btn.classList.add('remove');
-    } else {
-        btn.textContent = '포트폴리오에 담기';
-        btn.classList.remove('remove');
-    }
+// Current rates for USD plus every currency in the portfolio, the base currency and `extra`
+async function fetchExchangeRate(extra = []) {
+    const currencies = new Set(['KRW', baseCurrency, ...extra]);
+    Object.values(portfolio).forEach(item => currencies.add(getItemCurrency(item)));
+    const majors = new Set([...currencies].map(c => splitCurrency(c)[0]));
+    majors.delete('USD');
+
+    await Promise.all([...majors].map(async major => {
+        try {
+            const data = await fetchStockData(fxSymbol(major), '5d', '1d');
+            if (data && data.currentPrice) currentFxRates[major] = data.currentPrice;
+        } catch (e) {
+            console.error(`Failed to fetch exchange rate for ${major}:`, e);
+        }
+    }));
+
+    currentExchangeRate = currentFxRates.KRW;
+    console.log('Exchange Rates Updated:', currentFxRates);
 }
 
-// Render Portfolio List
-function renderPortfolioList() {
-    const list = document.getElementById('portfolio-list');
-    list.innerHTML = '';
+// Historical units-per-USD maps (date -> rate) for the majors of `currencies`
+async function fetchFxHistories(currencies, range) {
+    const majors = [...new Set(currencies.map(c => splitCurrency(c)[0]))].filter(c => c !== 'USD');
+    const histories = await Promise.all(majors.map(major => fetchHistory(fxSymbol(major), range)));
+    const result = new Map();
+    majors.forEach((major, i) => {
+        const map = new Map();
+        if (histories[i]) histories[i].bars.forEach(bar => map.set(formatDateKey(bar.time), bar.c));
+        result.set(major, map);
+    });
+    return result;
+}
 
-    const items = Object.values(portfolio);
+// Forward-filled conversion factors from each currency into `to` on the given dates
+// ({ [currency]: number[] }); the first known rate back-fills the start, current rates are the last resort
+function alignFxConversion(currencies, to, dates, histories) {
+    const majors = [...new Set([...currencies, to].map(c => splitCurrency(c)[0]))];
+    const perUsd = {};
+    majors.forEach(major => {
+        if (major === 'USD') {
+            perUsd[major] = dates.map(() => 1);
+            return;
+        }
+        const map = histories.get(major) || new Map();
+        const firstKnown = [...map.values()].find(v => v > 0);
+        let last = firstKnown || currentFxRates[major] || null;
+        perUsd[major] = dates.map(date => {
+            const rate = map.get(date);
+            if (rate > 0) last = rate;
+            return last;
+        });
+    });
 
-    if (items.length === 0) {
-        list.innerHTML = '<div style="text-align:center; color: var(--text-secondary); padding: 20px;">포트폴리오가 비어있습니다.</div>';
-        return;
-    }
+    const [toMajor, toFactor] = splitCurrency(to);
+    const result = {};
+    new Set(currencies).forEach(currency => {
+        const [major, factor] = splitCurrency(currency);
+        result[currency] = dates.map((d, t) => {
+            const from = perUsd[major][t];
+            const into = perUsd[toMajor][t];
+            return from && into ? into / from * factor / toFactor : null;
+        });
+    });
+    return result;
+}
 
-    // Sort by Symbol for consistency since Object order is not guaranteed
-    items.sort((a, b) => a.symbol.localeCompare(b.symbol));
+function formatMoney(value, currency = baseCurrency, signed = false) {
+    if (currency === 'KRW') return formatKRW(value, signed);
+    const sign = value < 0 ? '-' : (signed && value > 0 ? '+' : '');
+    const [major, factor] = splitCurrency(currency);
+    const digits = major === 'JPY' || factor !== 1 ? 0 : 2;
+    const text = Math.abs(value).toLocaleString(undefined, { minimumFractionDigits: digits, maximumFractionDigits: digits });
+    return major === 'USD' && factor === 1 ? `${sign}$${text}` : `${sign}${text} ${currency}`;
+}
 
-    items.forEach((item, index) => {
-        const div = document.createElement('div');
-        div.className = 'portfolio-item';
-        div.dataset.symbol = item.symbol;
-        div.dataset.price = 0;
-        div.dataset.exchange = 1;
+// KRW amount shown in the reporting currency
+function formatBase(valueKRW, signed = false) {
+    return formatMoney(toBase(valueKRW), baseCurrency, signed);
+}
 
-        div.innerHTML = `
-            <div class="item-info">
-                <span class="item-symbol">${item.symbol}</span>
-                <span class="item-name">${item.name}</span>
-            </div>
-            <div class="item-controls">
-                <span class="item-total">-- 원</span>
-                <input type="number" class="qty-input" value="${item.quantity}" min="0.0001" step="any" data-symbol="${item.symbol}">
-                <button class="delete-btn" data-symbol="${item.symbol}">삭제</button>
-            </div>
-        `;
-        list.appendChild(div);
+// Compact axis labels in the reporting currency (KRW in 만 units)
+function formatAxisMoney(value) {
+    if (baseCurrency === 'KRW') return (value / 10000).toLocaleString() + '만';
+    return value.toLocaleString(undefined, { notation: 'compact', maximumFractionDigits: 1 });
+}
+
+// Amount inputs are in 만원 for KRW and whole units otherwise
+function baseInputUnit() {
+    return baseCurrency === 'KRW' ? { multiplier: 10000, label: '만원' } : { multiplier: 1, label: baseCurrency };
+}
+
+function updateBaseCurrencyLabels() {
+    document.querySelectorAll('.base-unit').forEach(el => {
+        el.textContent = baseInputUnit().label;
     });
+}
 
-    // Add Listeners
-    list.querySelectorAll('.qty-input').forEach(input => {
-        input.addEventListener('input', (e) => {
-            const sym = e.target.dataset.symbol;
-            const val = parseFloat(e.target.value);
-            if (val >= 0 && portfolio[sym]) {
-                portfolio[sym].quantity = val;
-                savePortfolio();
+// --- Transaction Ledger ---
+// Each holding keeps { symbol, name, currency, transactions: [{ id, type, date, quantity, price, fee, fxRate }] }.
+// type: 'buy' | 'sell' | 'dividend' (dividend: quantity = shares held, price = cash per share).
+// price/fee are in the holding's currency; fxRate is KRW per unit of it on the trade date (null if unknown).
+// date: 'YYYY-MM-DD', or null for the opening position held since before any analysis window
+// (what copyPortfolio / addToPortfolio / the quantity input create). Quantity is always derived.
+const TRANSACTION_TYPE_LABELS = { buy: '매수', sell: '매도', dividend: '배당' };
+
+function createTransaction({ type = 'buy', date = null, quantity = 0, price = null, fee = 0, fxRate = null }) {
+    return {
+        id: `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 7)}`,
+        type,
+        date,
+        quantity,
+        price,
+        fee,
+        fxRate
+    };
+}
 
-                const row = e.target.closest('.portfolio-item');
-                updateItemTotal(row);
-            }
-        });
+// Opening (undated) transactions first, then chronological
+function sortedTransactions(item) {
+    return [...(item.transactions || [])].sort((a, b) => {
+        if (a.date === b.date) return 0;
+        if (a.date === null) return -1;
+        if (b.date === null) return 1;
+        return a.date < b.date ? -1 : 1;
     });
+}
 
-    list.querySelectorAll('.delete-btn').forEach(btn => {
-        btn.addEventListener('click', (e) => {
-            const sym = e.currentTarget.dataset.symbol;
-            if (confirm(`정말 ${sym} 종목을 삭제하시겠습니까?`)) {
-                removeFromPortfolio(sym);
-            }
-        });
+// Shares held at the end of `date` (YYYY-MM-DD), or now when omitted
+function getHoldingQuantity(item, date = null) {
+    let qty = 0;
+    (item.transactions || []).forEach(tx => {
+        if (date !== null && tx.date !== null && tx.date > date) return;
+        if (tx.type === 'buy') qty += tx.quantity;
+        if (tx.type === 'sell') qty -= tx.quantity;
     });
+    return qty;
 }
 
-function updateItemTotal(row) {
-    const qtyInput = row.querySelector('.qty-input');
-    const totalEl = row.querySelector('.item-total');
-    const price = parseFloat(row.dataset.price) || 0;
-    const exchange = parseFloat(row.dataset.exchange) || 1;
-    const qty = parseFloat(qtyInput.value) || 0;
+function getOpeningQuantity(item) {
+    const opening = (item.transactions || []).find(tx => tx.date === null && tx.type === 'buy');
+    return opening ? opening.quantity : 0;
+}
+
+// Adjust the opening position so the current quantity becomes `targetQty`. Returns false if impossible.
+function setHoldingQuantity(item, targetQty) {
+    const datedNet = getHoldingQuantity(item) - getOpeningQuantity(item);
+    const openingQty = targetQty - datedNet;
+    if (openingQty < 0) return false;
 
-    // Logic: 
-    // If KRW stock (.KS, .KQ), price is in KRW.
-    // If USD stock, price is USD, need conversion.
-    // The dataset.exchange should be set to 1 for KRW stocks or the rate for USD stocks.
+    const opening = item.transactions.find(tx => tx.date === null && tx.type === 'buy');
+    if (opening) {
+        if (openingQty === 0) {
+            item.transactions = item.transactions.filter(tx => tx !== opening);
+        } else {
+            opening.quantity = openingQty;
+        }
+    } else if (openingQty > 0) {
+        const cash = isCashItem(item) ? { price: 1, fxRate: getKRWRate(item.currency) } : {};
+        item.transactions.push(createTransaction({ type: 'buy', date: null, quantity: openingQty, ...cash }));
+    }
+    return true;
+}
 
-    // Actually, let's handle the specific logic in updatePortfolioPrices and just store the *multiplier* in dataset.exchange?
-    // Or store raw price and raw exchange and decide logic here?
-    // Let's decide logic here requires knowing if it's KRW or USD.
-    // Symbol is in dataset.symbol.
+// Average-cost summary, in the holding's native currency and in KRW (using each trade's fxRate)
+function summarizeLedger(item) {
+    let quantity = 0;
+    let costBasis = 0; // Cost of the shares still held (incl. buy fees)
+    let costBasisKRW = 0;
+    let realizedGain = 0;
+    let realizedGainKRW = 0;
+    let dividends = 0;
+    let dividendsKRW = 0;
+    let unknownCost = false; // Legacy opening positions have no price
+    let unknownFx = false; // ...or no exchange rate
+    let unknownRealized = false;
+
+    const isKRW = getItemCurrency(item) === 'KRW';
+    const fxOf = tx => {
+        if (isKRW) return 1;
+        if (!tx.fxRate) unknownFx = true;
+        return tx.fxRate || 0;
+    };
 
-    const symbol = row.dataset.symbol;
-    const isKRW = symbol.endsWith('.KS') || symbol.endsWith('.KQ');
+    sortedTransactions(item).forEach(tx => {
+        const fee = tx.fee || 0;
+        const fx = fxOf(tx);
+        if (tx.type === 'buy') {
+            if (tx.price === null || tx.price === undefined) unknownCost = true;
+            costBasis += tx.quantity * (tx.price || 0) + fee;
+            costBasisKRW += (tx.quantity * (tx.price || 0) + fee) * fx;
+            quantity += tx.quantity;
+        } else if (tx.type === 'sell') {
+            if (unknownCost || unknownFx) unknownRealized = true;
+            const avgCost = quantity > 0 ? costBasis / quantity : 0;
+            const avgCostKRW = quantity > 0 ? costBasisKRW / quantity : 0;
+            const soldQty = Math.min(tx.quantity, quantity);
+            realizedGain += soldQty * (tx.price - avgCost) - fee;
+            realizedGainKRW += (soldQty * tx.price - fee) * fx - soldQty * avgCostKRW;
+            costBasis -= soldQty * avgCost;
+            costBasisKRW -= soldQty * avgCostKRW;
+            quantity -= soldQty;
+        } else if (tx.type === 'dividend') {
+            dividends += tx.quantity * tx.price - fee;
+            dividendsKRW += (tx.quantity * tx.price - fee) * fx;
+        }
+    });
 
-    let finalValue = 0;
-    if (isKRW) {
-        finalValue = price * qty;
-    } else {
-        finalValue = price * exchange * qty;
+    const knownKRW = !unknownCost && !unknownFx;
+    return {
+        quantity,
+        costBasis: unknownCost ? null : costBasis,
+        costBasisKRW: knownKRW ? costBasisKRW : null,
+        avgCost: unknownCost || quantity <= 0 ? null : costBasis / quantity,
+        // Cost-weighted exchange rate of the shares still held
+        avgFx: knownKRW && costBasis > 0 ? costBasisKRW / costBasis : null,
+        realizedGain: unknownRealized ? null : realizedGain,
+        realizedGainKRW: unknownRealized ? null : realizedGainKRW,
+        dividends,
+        dividendsKRW: unknownFx ? null : dividendsKRW
+    };
+}
+
+// Profit & loss of a holding at the current price / exchange rate.
+// For foreign holdings the KRW result splits into a price effect (at the average purchase rate)
+// and an FX effect (rate change on today's market value).
+function calcHoldingPnl(item, price, exchange) {
+    const summary = summarizeLedger(item);
+    const currency = getItemCurrency(item);
+    const isKRW = currency === 'KRW';
+    const fx = isKRW ? 1 : exchange;
+    const qty = summary.quantity;
+
+    const pnl = {
+        ...summary,
+        currency,
+        isKRW,
+        valueNative: price * qty,
+        valueKRW: price * qty * fx,
+        unrealized: null,
+        unrealizedPct: null,
+        unrealizedKRW: null,
+        priceEffectKRW: null,
+        fxEffectKRW: null
+    };
+
+    if (summary.costBasis !== null && price > 0) {
+        pnl.unrealized = pnl.valueNative - summary.costBasis;
+        pnl.unrealizedPct = summary.costBasis > 0 ? (pnl.unrealized / summary.costBasis) * 100 : null;
+    }
+    if (summary.costBasisKRW !== null && price > 0) {
+        pnl.unrealizedKRW = pnl.valueKRW - summary.costBasisKRW;
+        if (!isKRW && summary.avgFx !== null) {
+            pnl.priceEffectKRW = (pnl.valueNative - summary.costBasis) * summary.avgFx;
+            pnl.fxEffectKRW = pnl.valueNative * (fx - summary.avgFx);
+        }
     }
+    return pnl;
+}
+
+// --- Cash Holdings ---
+// Cash is a holding worth 1 unit of its currency: ledger buys/sells are deposits/withdrawals at
+// price 1, and an optional annual interest rate (%) accrues daily on the balance.
+const CASH_SYMBOL_PREFIX = 'CASH:';
+const CASH_CURRENCIES = ['KRW', 'USD'];
+const CASH_NAMES = { KRW: '원화 예수금', USD: '달러 예수금' };
+const CASH_TRANSACTION_LABELS = { buy: '입금', sell: '출금' };
+
+function isCashItem(item) {
+    return !!item && item.type === 'cash';
+}
+
+function cashSymbol(currency) {
+    return `${CASH_SYMBOL_PREFIX}${currency}`;
+}
+
+function createCashItem(currency, amount = 0, interestRate = 0, date = null) {
+    return {
+        symbol: cashSymbol(currency),
+        name: CASH_NAMES[currency] || `${currency} 예수금`,
+        type: 'cash',
+        currency,
+        interestRate,
+        transactions: amount > 0 ? [createCashDeposit(currency, amount, date)] : []
+    };
+}
+
+// date null = opening cash (held before any dated transaction), like an undated stock position
+function createCashDeposit(currency, amount, date = null) {
+    return createTransaction({ type: 'buy', date, quantity: amount, price: 1, fxRate: getKRWRate(currency) });
+}
+
+// Growth of 1 unit of cash between two date keys at the item's rate
+function cashAccrual(item, fromDate, toDate) {
+    const rate = (item.interestRate || 0) / 100;
+    if (rate === 0 || !fromDate || !toDate || toDate <= fromDate) return 1;
+    return Math.pow(1 + rate, daysBetween(fromDate, toDate) / 365);
+}
+
+// Balance on `asOfDate` including interest since each dated deposit. Undated opening cash earns
+// from `openingDate` (e.g. the start of an analysis window); without one it has no known start
+// and only earns from the first dated transaction.
+function calcCashBalance(item, asOfDate = formatDateKey(Date.now() / 1000), openingDate = null) {
+    let balance = 0;
+    let lastDate = openingDate && openingDate <= asOfDate ? openingDate : null;
+    sortedTransactions(item).forEach(tx => {
+        if (tx.date !== null && tx.date > asOfDate) return;
+        if (lastDate && tx.date) balance *= cashAccrual(item, lastDate, tx.date);
+        if (tx.date && (!lastDate || tx.date > lastDate)) lastDate = tx.date;
+        if (tx.type === 'buy') balance += tx.quantity;
+        if (tx.type === 'sell') balance -= tx.quantity;
+    });
+    if (lastDate) balance *= cashAccrual(item, lastDate, asOfDate);
+    return balance;
+}
+
+// Add to the cash position of `currency` (creating it on first use);
+// an empty date adds to the opening balance, a date records a dated deposit
+async function addCashHolding(currency, amount, interestRate = null, date = null) {
+    if (!getKRWRate(currency)) await fetchExchangeRate([currency]);
+
+    const symbol = cashSymbol(currency);
+    const existing = portfolio[symbol];
+    if (existing) {
+        if (date) {
+            existing.transactions.push(createCashDeposit(currency, amount, date));
+        } else {
+            setHoldingQuantity(existing, getHoldingQuantity(existing) + amount);
+        }
+        if (interestRate !== null) existing.interestRate = interestRate;
+    } else {
+        portfolio[symbol] = createCashItem(currency, amount, interestRate || 0, date);
+    }
+    savePortfolio();
+}
+
+// Bring a stored holding up to the ledger format (legacy items only had a static `quantity`)
+function migratePortfolioItem(item) {
+    if (!Array.isArray(item.transactions)) {
+        item.transactions = item.quantity > 0
+            ? [createTransaction({ type: 'buy', date: null, quantity: item.quantity })]
+            : [];
+    }
+    delete item.quantity;
+    // Older saves stored 'USD' for every holding; trust the ticker suffix until a quote says otherwise
+    if (!item.currency || (item.currency === 'USD' && inferCurrency(item.symbol) !== 'USD')) {
+        item.currency = inferCurrency(item.symbol);
+    }
+    return item;
+}
+
+function normalizePortfolio(data) {
+    const result = {};
+    if (!data) return result;
+    const list = Array.isArray(data) ? data : Object.values(data); // Migrate Array to Object
+    list.forEach(item => {
+        if (item && item.symbol) result[item.symbol] = migratePortfolioItem(item);
+    });
+    return result;
+}
+
+// --- Named Portfolios ---
+// `portfolios` holds every named portfolio ({ id, name, holdings, target }); `portfolio` is always the
+// active one's holdings, so everything that works on holdings is unaware of the others.
+const DEFAULT_PORTFOLIO_NAME = '내 포트폴리오';
+const DEFAULT_TARGET_BAND = 5; // %p drift tolerated before the planner proposes trades
+let portfolios = {};
+let activePortfolioId = null;
+
+function createPortfolioId() {
+    return `pf_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+}
+
+// Target allocation: { weights: { [symbol]: fraction }, band: %p } or null
+function normalizeTargetAllocation(target) {
+    if (!target || typeof target.weights !== 'object' || target.weights === null) return null;
+    const weights = {};
+    Object.entries(target.weights).forEach(([symbol, weight]) => {
+        if (Number.isFinite(weight) && weight > 0) weights[symbol] = weight;
+    });
+    if (Object.keys(weights).length === 0) return null;
+    const band = Number(target.band);
+    return { weights, band: Number.isFinite(band) && band >= 0 ? band : DEFAULT_TARGET_BAND };
+}
+
+// Stored shape: { activeId, portfolios: { [id]: { id, name, holdings, target } } }.
+// A bare holdings object (the single-portfolio format) becomes the default portfolio.
+function normalizePortfolios(data, legacyHoldings = null) {
+    const result = { activeId: null, portfolios: {} };
+    if (data && data.portfolios) {
+        Object.values(data.portfolios).forEach(pf => {
+            if (!pf || !pf.id) return;
+            result.portfolios[pf.id] = {
+                id: pf.id,
+                name: cleanPortfolioName(pf.name) || DEFAULT_PORTFOLIO_NAME,
+                holdings: normalizePortfolio(pf.holdings),
+                target: normalizeTargetAllocation(pf.target)
+            };
+        });
+        result.activeId = data.activeId;
+    }
+    if (Object.keys(result.portfolios).length === 0) {
+        const id = createPortfolioId();
+        result.portfolios[id] = { id, name: DEFAULT_PORTFOLIO_NAME, holdings: normalizePortfolio(legacyHoldings), target: null };
+    }
+    if (!result.portfolios[result.activeId]) result.activeId = Object.keys(result.portfolios)[0];
+    return result;
+}
+
+function applyPortfolios(state) {
+    portfolios = state.portfolios;
+    activePortfolioId = state.activeId;
+    portfolio = portfolios[activePortfolioId].holdings;
+}
+
+function serializePortfolios() {
+    portfolios[activePortfolioId].holdings = portfolio;
+    return { activeId: activePortfolioId, portfolios };
+}
+
+function persistPortfolios() {
+    localStorage.setItem('myPortfolios', JSON.stringify(serializePortfolios()));
+}
+
+// Load and Migrate
+try {
+    const saved = JSON.parse(localStorage.getItem('myPortfolios'));
+    const legacy = saved ? null : JSON.parse(localStorage.getItem('myPortfolio'));
+    applyPortfolios(normalizePortfolios(saved, legacy));
+    persistPortfolios();
+} catch (e) {
+    console.error('Failed to load portfolio', e);
+    applyPortfolios(normalizePortfolios(null));
+}
+
+// Save Portfolio
+function savePortfolio() {
+    persistPortfolios();
+    saveToDrive();
+}
+
+// Make `id` the active portfolio and refresh everything that shows holdings
+function switchPortfolio(id) {
+    if (!portfolios[id] || id === activePortfolioId) return;
+    serializePortfolios();
+    activePortfolioId = id;
+    portfolio = portfolios[id].holdings;
+    openLedgerSymbol = null;
+    lastAnalysisRange = null;
+    persistPortfolios();
+
+    ['portfolio-stats', 'risk-metrics', 'portfolio-chart-container', 'drawdown-container', 'drawdown-episodes',
+        'rolling-container', 'dca-container', 'rebalance-stats', 'benchmark-stats', 'portfolio-composition',
+        'allocation-container'].forEach(elId => {
+        const el = document.getElementById(elId);
+        if (el) el.style.display = 'none';
+    });
+
+    document.getElementById('planner-result').innerHTML = '';
+
+    renderPortfolioSwitcher();
+    renderPortfolioList();
+    updatePortfolioPrices();
+    if (lastFetchedData) updatePortfolioButton(lastFetchedData.symbol);
+}
+
+// Names come from prompt dialogs and end up in option lists and tables, so markup is stripped
+function cleanPortfolioName(name) {
+    return cleanModelText(name, 40);
+}
+
+function createPortfolio(name, holdings = {}, target = null) {
+    const id = createPortfolioId();
+    portfolios[id] = { id, name: cleanPortfolioName(name) || DEFAULT_PORTFOLIO_NAME, holdings, target };
+    switchPortfolio(id);
+    savePortfolio();
+    return id;
+}
+
+function renamePortfolio(id, name) {
+    const cleaned = cleanPortfolioName(name);
+    if (!portfolios[id] || !cleaned) return;
+    portfolios[id].name = cleaned;
+    savePortfolio();
+    renderPortfolioSwitcher();
+}
+
+function duplicatePortfolio(id) {
+    const source = portfolios[id];
+    if (!source) return null;
+    const holdings = id === activePortfolioId ? portfolio : source.holdings;
+    return createPortfolio(
+        `${source.name} 사본`,
+        normalizePortfolio(JSON.parse(JSON.stringify(holdings))),
+        normalizeTargetAllocation(source.target)
+    );
+}
+
+// The last remaining portfolio can't be deleted
+function deletePortfolio(id) {
+    const ids = Object.keys(portfolios);
+    if (!portfolios[id] || ids.length <= 1) return false;
+    if (id === activePortfolioId) switchPortfolio(ids.find(other => other !== id));
+    delete portfolios[id];
+    savePortfolio();
+    renderPortfolioSwitcher();
+    return true;
+}
+
+function renderPortfolioSwitcher() {
+    const select = document.getElementById('portfolio-switcher');
+    if (!select) return;
+    select.innerHTML = '';
+    Object.values(portfolios).forEach(pf => {
+        const option = document.createElement('option');
+        option.value = pf.id;
+        option.textContent = pf.name;
+        select.appendChild(option);
+    });
+    select.value = activePortfolioId;
+    if (document.getElementById('comparison-options')) renderComparisonOptions();
+}
+
+// Tab-bar menu actions (names come from prompt dialogs)
+function handlePortfolioMenuAction(action) {
+    const current = portfolios[activePortfolioId];
+    if (action === 'create') {
+        const name = prompt('새 포트폴리오 이름을 입력하세요.', `포트폴리오 ${Object.keys(portfolios).length + 1}`);
+        if (name && name.trim()) createPortfolio(name.trim());
+    } else if (action === 'rename') {
+        const name = prompt('포트폴리오 이름을 입력하세요.', current.name);
+        if (name && name.trim()) renamePortfolio(activePortfolioId, name.trim());
+    } else if (action === 'duplicate') {
+        duplicatePortfolio(activePortfolioId);
+    } else if (action === 'delete') {
+        if (Object.keys(portfolios).length <= 1) {
+            alert('마지막 포트폴리오는 삭제할 수 없습니다.');
+            return;
+        }
+        if (confirm(`정말 '${current.name}' 포트폴리오를 삭제하시겠습니까?`)) deletePortfolio(activePortfolioId);
+    }
+}
+
+// Add to Portfolio
+async function addToPortfolio(data) {
+    if (portfolio[data.symbol]) {
+        alert('이미 포트폴리오에 있는 종목입니다.');
+        return;
+    }
+
+    const currency = data.currency || inferCurrency(data.symbol);
+    if (!getKRWRate(currency)) await fetchExchangeRate([currency]);
+
+    portfolio[data.symbol] = {
+        symbol: data.symbol,
+        name: data.name,
+        currency,
+        transactions: [createTransaction({
+            type: 'buy',
+            date: null,
+            quantity: 1,
+            price: data.currentPrice,
+            fxRate: getKRWRate(currency)
+        })]
+    };
+    savePortfolio();
+    renderPortfolioList();
+    updatePortfolioButton(data.symbol);
+}
+
+// Remove from Portfolio
+function removeFromPortfolio(symbol) {
+    if (portfolio[symbol]) {
+        delete portfolio[symbol];
+        savePortfolio();
+        renderPortfolioList();
+        updatePortfolioButton(symbol);
+    } else {
+        alert('포트폴리오에서 항목을 찾을 수 없습니다.');
+    }
+}
+
+// Update Portfolio Button UI
+function updatePortfolioButton(symbol) {
+    const btn = document.getElementById('add-to-portfolio-btn');
+    if (!btn) return;
+
+    if (!lastFetchedData || lastFetchedData.symbol !== symbol) return;
+
+    // O(1) Check
+    if (portfolio[symbol]) {
+        btn.textContent = '포트폴리오에서 삭제';
+        btn.classList.add('remove');
+    } else {
+        btn.textContent = '포트폴리오에 담기';
+        btn.classList.remove('remove');
+    }
+}
+
+// Render Portfolio List
+let openLedgerSymbol = null; // Keep the expanded ledger open across re-renders
+
+function renderPortfolioList() {
+    const list = document.getElementById('portfolio-list');
+    list.innerHTML = '';
+    renderTargetEditor();
+
+    const items = Object.values(portfolio);
+
+    if (items.length === 0) {
+        list.innerHTML = '<div style="text-align:center; color: var(--text-secondary); padding: 20px;">포트폴리오가 비어있습니다.</div>';
+        updatePortfolioSummary();
+        return;
+    }
+
+    // Sort by Symbol for consistency since Object order is not guaranteed
+    items.sort((a, b) => a.symbol.localeCompare(b.symbol));
+
+    items.forEach((item, index) => {
+        const div = document.createElement('div');
+        div.className = 'portfolio-item';
+        div.dataset.symbol = item.symbol;
+        div.dataset.price = 0;
+        div.dataset.exchange = 1;
+
+        const quantity = parseFloat(getHoldingQuantity(item).toFixed(4));
+
+        div.innerHTML = `
+            <div class="item-info">
+                <span class="item-symbol">${isCashItem(item) ? `현금 · ${item.currency}` : item.symbol}</span>
+                <span class="item-name">${item.name}${isCashItem(item) && item.interestRate ? ` (연 ${item.interestRate}%)` : ''}</span>
+            </div>
+            <div class="item-controls">
+                <span class="item-avg">--</span>
+                <span class="item-pnl">--</span>
+                <span class="item-realized">--</span>
+                <span class="item-total">-- 원</span>
+                <input type="number" class="qty-input" value="${quantity}" min="0" step="any" data-symbol="${item.symbol}">
+                <button class="ledger-btn ${openLedgerSymbol === item.symbol ? 'active' : ''}" data-symbol="${item.symbol}">거래</button>
+                <button class="delete-btn" data-symbol="${item.symbol}">삭제</button>
+            </div>
+        `;
+        list.appendChild(div);
+
+        if (openLedgerSymbol === item.symbol) {
+            list.appendChild(renderLedgerPanel(item));
+        }
+    });
+
+    // Add Listeners
+    list.querySelectorAll('.qty-input').forEach(input => {
+        input.addEventListener('input', (e) => {
+            const sym = e.target.dataset.symbol;
+            const val = parseFloat(e.target.value);
+            if (val >= 0 && portfolio[sym]) {
+                // Editing the quantity adjusts the opening position; dated trades stay untouched
+                if (!setHoldingQuantity(portfolio[sym], val)) {
+                    e.target.classList.add('invalid');
+                    return;
+                }
+                e.target.classList.remove('invalid');
+                savePortfolio();
+
+                const row = e.target.closest('.portfolio-item');
+                updateItemTotal(row);
+
+                const panel = row.nextElementSibling;
+                if (panel && panel.classList.contains('ledger-panel')) {
+                    panel.replaceWith(renderLedgerPanel(portfolio[sym]));
+                }
+            }
+        });
+        input.addEventListener('change', (e) => {
+            if (!e.target.classList.contains('invalid')) return;
+            const sym = e.target.dataset.symbol;
+            alert('거래 내역상 보유 수량보다 적게 설정할 수 없습니다. 매도 거래를 추가해주세요.');
+            e.target.classList.remove('invalid');
+            e.target.value = parseFloat(getHoldingQuantity(portfolio[sym]).toFixed(4));
+        });
+    });
+
+    list.querySelectorAll('.ledger-btn').forEach(btn => {
+        btn.addEventListener('click', (e) => {
+            const sym = e.currentTarget.dataset.symbol;
+            openLedgerSymbol = openLedgerSymbol === sym ? null : sym;
+            renderPortfolioList();
+            updatePortfolioPrices();
+        });
+    });
+
+    list.querySelectorAll('.delete-btn').forEach(btn => {
+        btn.addEventListener('click', (e) => {
+            const sym = e.currentTarget.dataset.symbol;
+            const label = isCashItem(portfolio[sym]) ? portfolio[sym].name : sym;
+            if (confirm(`정말 ${label} 종목을 삭제하시겠습니까?`)) {
+                removeFromPortfolio(sym);
+            }
+        });
+    });
+}
+
+// Running quantity must never go negative (no selling shares not yet bought)
+function isLedgerValid(transactions) {
+    let qty = 0;
+    return sortedTransactions({ transactions }).every(tx => {
+        if (tx.type === 'buy') qty += tx.quantity;
+        if (tx.type === 'sell') qty -= tx.quantity;
+        return qty >= -1e-9;
+    });
+}
+
+// Ledger Panel (expanded under a portfolio row)
+function renderLedgerPanel(item) {
+    const panel = document.createElement('div');
+    panel.className = 'ledger-panel';
+
+    // Foreign holdings also record the KRW exchange rate of each trade (for KRW P&L)
+    const currency = getItemCurrency(item);
+    const isKRW = currency === 'KRW';
+    const cash = isCashItem(item);
+    const labels = cash ? CASH_TRANSACTION_LABELS : TRANSACTION_TYPE_LABELS;
+    const fxCell = tx => isKRW ? '' : `<td>${tx.fxRate ? tx.fxRate.toLocaleString(undefined, { maximumFractionDigits: 2 }) : '--'}</td>`;
+
+    const rows = sortedTransactions(item).map(tx => `
+        <tr>
+            <td>${tx.date || '기초 보유'}</td>
+            <td class="ledger-type-${tx.type}">${labels[tx.type]}</td>
+            <td>${tx.quantity.toLocaleString(undefined, { maximumFractionDigits: 4 })}</td>
+            <td>${tx.price !== null && tx.price !== undefined ? tx.price.toLocaleString(undefined, { maximumFractionDigits: 4 }) : '--'}</td>
+            <td>${(tx.fee || 0).toLocaleString()}</td>
+            ${fxCell(tx)}
+            <td><button class="ledger-delete-btn" data-id="${tx.id}">&times;</button></td>
+        </tr>
+    `).join('');
+
+    const today = new Date().toISOString().slice(0, 10);
+
+    panel.innerHTML = `
+        <table class="ledger-table">
+            <thead>
+                <tr><th>일자</th><th>구분</th><th>수량</th><th>단가</th><th>수수료</th>${isKRW ? '' : `<th>환율 (원/${currency})</th>`}<th></th></tr>
+            </thead>
+            <tbody>
+                ${rows || `<tr><td colspan="${isKRW ? 6 : 7}" class="ledger-empty">거래 내역이 없습니다.</td></tr>`}
+            </tbody>
+        </table>
+        <div class="ledger-form">
+            <input type="date" class="ledger-date" value="${today}" max="${today}">
+            <select class="ledger-type">
+                <option value="buy">${labels.buy}</option>
+                <option value="sell">${labels.sell}</option>
+                ${cash ? '' : '<option value="dividend">배당 (주당)</option>'}
+            </select>
+            <input type="number" class="ledger-qty" placeholder="${cash ? '금액' : '수량'}" min="0" step="any">
+            <input type="${cash ? 'hidden' : 'number'}" class="ledger-price" placeholder="단가" min="0" step="any" ${cash ? 'value="1"' : ''}>
+            <input type="number" class="ledger-fee" placeholder="수수료" min="0" step="any">
+            ${isKRW ? '' : `<input type="number" class="ledger-fx" placeholder="환율 (원/${currency})" min="0" step="any" value="${getKRWRate(currency) ? getKRWRate(currency).toFixed(4) : ''}">`}
+            <button class="ledger-add-btn">추가</button>
+        </div>
+        ${cash ? `<label class="ledger-interest">연이율 (%) <input type="number" class="ledger-interest-rate" value="${item.interestRate || 0}" min="0" step="0.1"></label>` : ''}
+    `;
+
+    if (cash) {
+        panel.querySelector('.ledger-interest-rate').addEventListener('change', (e) => {
+            const rate = parseFloat(e.target.value);
+            item.interestRate = rate > 0 ? rate : 0;
+            savePortfolio();
+            renderPortfolioList();
+            updatePortfolioPrices();
+        });
+    }
+
+    panel.querySelector('.ledger-add-btn').addEventListener('click', () => {
+        const date = panel.querySelector('.ledger-date').value;
+        const type = panel.querySelector('.ledger-type').value;
+        const quantity = parseFloat(panel.querySelector('.ledger-qty').value);
+        const price = parseFloat(panel.querySelector('.ledger-price').value);
+        const fee = parseFloat(panel.querySelector('.ledger-fee').value) || 0;
+        const fxRate = isKRW ? 1 : parseFloat(panel.querySelector('.ledger-fx').value);
+
+        if (!date || !(quantity > 0) || !(price >= 0) || !(fxRate > 0)) {
+            alert('일자, 수량, 단가, 환율을 정확히 입력해주세요.');
+            return;
+        }
+
+        const tx = createTransaction({ type, date, quantity, price, fee, fxRate });
+        const next = [...item.transactions, tx];
+        if (!isLedgerValid(next)) {
+            alert('해당 일자의 보유 수량보다 많이 매도할 수 없습니다.');
+            return;
+        }
+
+        item.transactions = next;
+        savePortfolio();
+        renderPortfolioList();
+        updatePortfolioPrices();
+    });
+
+    panel.querySelectorAll('.ledger-delete-btn').forEach(btn => {
+        btn.addEventListener('click', (e) => {
+            const id = e.currentTarget.dataset.id;
+            const next = item.transactions.filter(tx => tx.id !== id);
+            if (!isLedgerValid(next)) {
+                alert('이 거래를 삭제하면 이후 매도 수량이 보유 수량을 초과합니다.');
+                return;
+            }
+            item.transactions = next;
+            savePortfolio();
+            renderPortfolioList();
+            updatePortfolioPrices();
+        });
+    });
+
+    return panel;
+}
+
+function formatKRW(value, signed = false) {
+    const sign = signed && value > 0 ? '+' : '';
+    return `${sign}${Math.round(value).toLocaleString()} 원`;
+}
+
+function formatNative(value, currency, signed = false) {
+    return formatMoney(value, currency, signed);
+}
+
+function pnlClass(value) {
+    if (value > 0) return 'text-up';
+    if (value < 0) return 'text-down';
+    return '';
+}
+
+function updateItemTotal(row) {
+    const qtyInput = row.querySelector('.qty-input');
+    const totalEl = row.querySelector('.item-total');
+    const price = parseFloat(row.dataset.price) || 0;
+    const exchange = parseFloat(row.dataset.exchange) || 1;
+    const qty = parseFloat(qtyInput.value) || 0;
+
+    // Price is in the holding's quote currency; dataset.exchange is KRW per unit of it (1 for KRW)
+    const symbol = row.dataset.symbol;
+    const finalValue = price * exchange * qty;
+
+    if (price === 0) {
+        totalEl.textContent = '-- 원';
+        return;
+    }
+
+    // Format: 1,234,560 원 (or the reporting currency)
+    totalEl.textContent = formatBase(finalValue);
+
+    if (portfolio[symbol]) updateItemPnl(row, portfolio[symbol], price, exchange);
+    updatePortfolioSummary();
+}
+
+// Average cost, unrealized and realized P&L cells of a portfolio row
+function updateItemPnl(row, item, price, exchange) {
+    const pnl = calcHoldingPnl(item, price, exchange);
+    const avgEl = row.querySelector('.item-avg');
+    const pnlEl = row.querySelector('.item-pnl');
+    const realizedEl = row.querySelector('.item-realized');
+
+    avgEl.textContent = pnl.avgCost !== null ? formatNative(pnl.avgCost, pnl.currency) : '--';
+
+    if (pnl.unrealizedKRW !== null) {
+        const pct = pnl.unrealizedPct !== null ? ` (${pnl.unrealizedPct > 0 ? '+' : ''}${pnl.unrealizedPct.toFixed(2)}%)` : '';
+        let html = `<span class="${pnlClass(pnl.unrealizedKRW)}">${formatBase(pnl.unrealizedKRW, true)}</span>`;
+        if (pnl.isKRW) {
+            html += `<span class="pnl-sub">${pct.trim()}</span>`;
+        } else {
+            html += `<span class="pnl-sub">${formatNative(pnl.unrealized, pnl.currency, true)}${pct}</span>`;
+            html += `<span class="pnl-sub">가격 ${formatBase(pnl.priceEffectKRW, true)} / 환율 ${formatBase(pnl.fxEffectKRW, true)}</span>`;
+        }
+        pnlEl.innerHTML = html;
+    } else if (pnl.unrealized !== null) {
+        // Native P&L known but a trade is missing its exchange rate
+        pnlEl.innerHTML = `<span class="${pnlClass(pnl.unrealized)}">${formatNative(pnl.unrealized, pnl.currency, true)}</span>`;
+    } else {
+        pnlEl.innerHTML = '<span class="pnl-sub" title="매입 단가가 없는 기초 보유분이 있습니다.">매입가 미입력</span>';
+    }
+
+    if (pnl.realizedGainKRW !== null) {
+        let html = `<span class="${pnlClass(pnl.realizedGainKRW)}">${formatBase(pnl.realizedGainKRW, true)}</span>`;
+        if (!pnl.isKRW) html += `<span class="pnl-sub">${formatNative(pnl.realizedGain, pnl.currency, true)}</span>`;
+        realizedEl.innerHTML = html;
+    } else {
+        realizedEl.textContent = '--';
+    }
+}
+
+// Portfolio-level totals from the rows that have a price
+function updatePortfolioSummary() {
+    const summaryEl = document.getElementById('portfolio-summary');
+    if (!summaryEl) return;
+
+    const totals = { value: 0, cost: 0, unrealized: 0, priceEffect: 0, fxEffect: 0, realized: 0, dividends: 0 };
+    let priced = 0;
+    let excluded = 0;
+
+    document.querySelectorAll('.portfolio-item').forEach(row => {
+        const item = portfolio[row.dataset.symbol];
+        const price = parseFloat(row.dataset.price) || 0;
+        if (!item || price === 0) return;
+        priced++;
+
+        const pnl = calcHoldingPnl(item, price, parseFloat(row.dataset.exchange) || 1);
+        totals.value += pnl.valueKRW;
+        if (pnl.unrealizedKRW !== null) {
+            totals.cost += pnl.costBasisKRW;
+            totals.unrealized += pnl.unrealizedKRW;
+            // KRW holdings have no FX component: all of it is price effect
+            totals.priceEffect += pnl.isKRW ? pnl.unrealizedKRW : pnl.priceEffectKRW;
+            totals.fxEffect += pnl.isKRW ? 0 : pnl.fxEffectKRW;
+        } else {
+            excluded++;
+        }
+        if (pnl.realizedGainKRW !== null) totals.realized += pnl.realizedGainKRW;
+        if (pnl.dividendsKRW !== null) totals.dividends += pnl.dividendsKRW;
+    });
+
+    if (priced === 0) {
+        summaryEl.style.display = 'none';
+        return;
+    }
+
+    const pct = totals.cost > 0 ? ` (${totals.unrealized > 0 ? '+' : ''}${((totals.unrealized / totals.cost) * 100).toFixed(2)}%)` : '';
+    summaryEl.style.display = 'flex';
+    summaryEl.innerHTML = `
+        <div class="summary-item">
+            <span class="summary-label">총 평가금액</span>
+            <span class="summary-value">${formatBase(totals.value)}</span>
+        </div>
+        <div class="summary-item">
+            <span class="summary-label">총 매입금액</span>
+            <span class="summary-value">${formatBase(totals.cost)}</span>
+        </div>
+        <div class="summary-item">
+            <span class="summary-label">평가손익</span>
+            <span class="summary-value ${pnlClass(totals.unrealized)}">${formatBase(totals.unrealized, true)}${pct}</span>
+            <span class="pnl-sub">가격 ${formatBase(totals.priceEffect, true)} / 환율 ${formatBase(totals.fxEffect, true)}</span>
+        </div>
+        <div class="summary-item">
+            <span class="summary-label">실현손익</span>
+            <span class="summary-value ${pnlClass(totals.realized)}">${formatBase(totals.realized, true)}</span>
+            <span class="pnl-sub">배당 ${formatBase(totals.dividends, true)}</span>
+        </div>
+        ${excluded > 0 ? `<p class="summary-note">매입가가 없는 ${excluded}개 종목은 손익 합계에서 제외되었습니다.</p>` : ''}
+        ${baseCurrency !== 'KRW' ? `<p class="summary-note">원화 기준 손익을 현재 환율로 ${baseCurrency} 환산했습니다.</p>` : ''}
+    `;
+}
+
+
+// Update Portfolio Prices (Fetches Data)
+// Update Portfolio Prices (Fetches Data)
+async function updatePortfolioPrices() {
+    if (Object.keys(portfolio).length === 0) return;
+
+    // Exchange rates are fetched via fetchExchangeRate() on load; pick up currencies added since
+    const missing = [baseCurrency, ...Object.values(portfolio).map(getItemCurrency)].filter(c => !getKRWRate(c));
+    if (missing.length > 0) await fetchExchangeRate(missing);
+
+    const rows = document.querySelectorAll('.portfolio-item');
+    for (const row of rows) {
+        const symbol = row.dataset.symbol;
+        const totalEl = row.querySelector('.item-total');
+
+        // Cash: worth its balance (incl. interest), no quote needed
+        const cashItem = portfolio[symbol];
+        if (isCashItem(cashItem)) {
+            const qty = getHoldingQuantity(cashItem);
+            row.dataset.price = qty > 0 ? calcCashBalance(cashItem) / qty : 1;
+            row.dataset.exchange = getKRWRate(cashItem.currency) || 1;
+            updateItemTotal(row);
+            continue;
+        }
+
+        if (totalEl.textContent === '-- 원') {
+            totalEl.textContent = '로딩...';
+            totalEl.style.fontSize = '0.8rem';
+        }
+
+        // 1. Check Cloud Cache First
+        if (cloudCache.stocks[symbol]) {
+            const cached = cloudCache.stocks[symbol];
+            row.dataset.price = cached.currentPrice;
+            row.dataset.exchange = getKRWRate(getItemCurrency(portfolio[symbol])) || 1; // Use current rate
+            updateItemTotal(row);
+            totalEl.style.fontSize = '';
+            // Indicate stale data? Maybe color grey?
+        }
+
+        try {
+            // 2. Fetch Fresh
+            let data = null;
+            if (lastFetchedData && lastFetchedData.symbol === symbol) {
+                data = lastFetchedData;
+            }
+
+            if (!data) {
+                data = await fetchStockData(symbol, '5d', '15m');
+            }
+
+            if (data) {
+                // 3. Update Cache & Save
+                cloudCache.stocks[symbol] = data;
+                saveToDrive();
+
+                // Quote metadata is the source of truth for the trading currency
+                const item = portfolio[symbol];
+                if (item && data.currency && item.currency !== data.currency) {
+                    item.currency = data.currency;
+                    savePortfolio();
+                    if (!getKRWRate(data.currency)) await fetchExchangeRate([data.currency]);
+                }
+
+                row.dataset.price = data.currentPrice;
+                row.dataset.exchange = getKRWRate(getItemCurrency(item || { symbol })) || 1;
+                totalEl.style.fontSize = '';
+                updateItemTotal(row);
+            } else {
+                if (!cloudCache.stocks[symbol]) totalEl.textContent = '데이터 없음';
+            }
+        } catch (e) {
+            console.error(`Failed to update price for ${symbol}`, e);
+            if (!cloudCache.stocks[symbol]) totalEl.textContent = '에러';
+        }
+    }
+}
+
+// --- Target Allocation & Rebalancing Planner ---
+let targetEditorPortfolioId = null;
+
+function getTargetAllocation() {
+    return portfolios[activePortfolioId].target;
+}
+
+// Pure planner. positions: [{ symbol, name, valueKRW, unitKRW, isCash }] (target symbols that
+// aren't held come in with valueKRW 0); target: { weights, band }.
+// 'full' trades every asset back to target once any drifts outside the band (or new cash arrives);
+// 'buy-only' spends new cash plus cash above its target on the underweight assets, never selling.
+// Cash positions form one pool that funds buys and receives sales.
+function planRebalance(positions, target, { mode = 'full', newCashKRW = 0 } = {}) {
+    const band = target.band / 100;
+    const cashBefore = positions.filter(p => p.isCash).reduce((sum, p) => sum + p.valueKRW, 0);
+    const cashTarget = Object.entries(target.weights)
+        .filter(([symbol]) => symbol.startsWith(CASH_SYMBOL_PREFIX))
+        .reduce((sum, [, weight]) => sum + weight, 0);
+    const totalBefore = positions.reduce((sum, p) => sum + p.valueKRW, 0);
+    const total = totalBefore + newCashKRW;
+
+    const rows = positions.filter(p => !p.isCash).map(p => {
+        const weight = target.weights[p.symbol] || 0;
+        const current = totalBefore > 0 ? p.valueKRW / totalBefore : 0;
+        return { ...p, weight, current, outOfBand: Math.abs(current - weight) > band + 1e-9, quantity: 0 };
+    });
+    const needsRebalance = rows.some(r => r.outOfBand) || newCashKRW > 0;
+
+    // Whole-share buys toward each underweight target, never spending more than `available`
+    const planBuys = available => {
+        const gaps = rows.map(r => r.unitKRW > 0 ? Math.max(0, total * r.weight - r.valueKRW) : 0);
+        const gapTotal = gaps.reduce((sum, gap) => sum + gap, 0);
+        if (available <= 0 || gapTotal <= 0) return;
+        const { lots } = allocateShares(
+            rows.map((r, i) => ({ weight: gaps[i] / gapTotal, price: r.unitKRW, fxRate: 1 })),
+            Math.min(available, gapTotal)
+        );
+        rows.forEach((r, i) => { if (lots[i].quantity > 0) r.quantity = lots[i].quantity; });
+    };
+
+    if (mode === 'full' && needsRebalance) {
+        // Sells first (whole shares, rounded toward zero so nothing is sold below target),
+        // then buys sized from what the cash pool actually holds above its own target
+        let proceeds = 0;
+        rows.forEach(r => {
+            if (!(r.unitKRW > 0)) return;
+            const excess = r.valueKRW - total * r.weight;
+            if (excess <= 0) return;
+            r.quantity = -Math.floor(excess / r.unitKRW);
+            proceeds -= r.quantity * r.unitKRW;
+        });
+        planBuys(cashBefore + newCashKRW + proceeds - total * cashTarget);
+    } else if (mode === 'buy-only') {
+        planBuys(newCashKRW + Math.max(0, cashBefore - totalBefore * cashTarget));
+    }
+
+    rows.forEach(r => {
+        r.amountKRW = r.quantity * r.unitKRW;
+        r.after = total > 0 ? (r.valueKRW + r.amountKRW) / total : 0;
+    });
+    const tradedKRW = rows.reduce((sum, r) => sum + r.amountKRW, 0);
+    return {
+        rows,
+        total,
+        cashBefore,
+        cashAfter: cashBefore + newCashKRW - tradedKRW,
+        cashTarget,
+        needsRebalance,
+        stillOutOfBand: rows.some(r => Math.abs(r.after - r.weight) > band + 1e-9)
+    };
+}
+
+// Current positions priced by updatePortfolioPrices, plus quotes for target symbols not held yet
+async function getPlannerPositions(target) {
+    await updatePortfolioPrices();
+
+    const positions = [];
+    const unpriced = [];
+    document.querySelectorAll('.portfolio-item').forEach(row => {
+        const item = portfolio[row.dataset.symbol];
+        if (!item) return;
+        const price = parseFloat(row.dataset.price) || 0;
+        if (price === 0) {
+            unpriced.push(item.symbol);
+            return;
+        }
+        const unitKRW = price * (parseFloat(row.dataset.exchange) || 1);
+        positions.push({ symbol: item.symbol, name: item.name, isCash: isCashItem(item), unitKRW, valueKRW: unitKRW * getHoldingQuantity(item) });
+    });
+
+    for (const symbol of Object.keys(target.weights)) {
+        if (portfolio[symbol] || symbol.startsWith(CASH_SYMBOL_PREFIX)) continue;
+        const data = await fetchStockData(symbol, '5d', '15m');
+        const currency = (data && data.currency) || inferCurrency(symbol);
+        if (!getKRWRate(currency)) await fetchExchangeRate([currency]);
+        if (!data || !data.currentPrice || !getKRWRate(currency)) {
+            unpriced.push(symbol);
+            continue;
+        }
+        positions.push({ symbol, name: data.name || symbol, isCash: false, unitKRW: data.currentPrice * getKRWRate(currency), valueKRW: 0 });
+    }
+    return { positions, unpriced };
+}
+
+function getPlannerOptions() {
+    const cash = parseFloat(document.getElementById('planner-cash').value);
+    return {
+        mode: document.getElementById('planner-mode').value,
+        newCashKRW: isNaN(cash) || cash <= 0 ? 0 : cash * baseInputUnit().multiplier * (getKRWRate(baseCurrency) || 1)
+    };
+}
+
+async function runRebalancePlanner() {
+    const target = getTargetAllocation();
+    const resultEl = document.getElementById('planner-result');
+    if (!target) {
+        alert('먼저 목표 비중을 저장해주세요.');
+        return;
+    }
+
+    resultEl.innerHTML = '<p class="table-note">현재가를 불러오는 중...</p>';
+    try {
+        const { positions, unpriced } = await getPlannerPositions(target);
+        const plan = planRebalance(positions, target, getPlannerOptions());
+        renderRebalancePlan(plan, target, unpriced);
+    } catch (e) {
+        console.error(e);
+        resultEl.innerHTML = '';
+        alert('매매 계획 계산 중 오류가 발생했습니다: ' + e.message);
+    }
+}
+
+function renderRebalancePlan(plan, target, unpriced) {
+    const resultEl = document.getElementById('planner-result');
+    const pct = v => `${(v * 100).toFixed(1)}%`;
+    const action = r => {
+        if (r.quantity > 0) return `<span class="text-up">매수 ${r.quantity}주</span>`;
+        if (r.quantity < 0) return `<span class="text-down">매도 ${-r.quantity}주</span>`;
+        return '-';
+    };
+
+    const rows = plan.rows
+        .sort((a, b) => b.weight - a.weight)
+        .map(r => `
+            <tr>
+                <td>${r.symbol}<span class="pnl-sub">${r.name || ''}</span></td>
+                <td class="${r.outOfBand ? 'text-down' : ''}">${pct(r.current)}</td>
+                <td>${pct(r.weight)}</td>
+                <td>${action(r)}</td>
+                <td>${r.amountKRW ? formatBase(r.amountKRW, true) : '-'}</td>
+                <td>${pct(r.after)}</td>
+            </tr>
+        `).join('');
+
+    const notes = [`허용 밴드 ±${target.band}%p · 1주 단위`];
+    if (!plan.needsRebalance) notes.push('모든 종목이 밴드 안에 있어 매매가 필요 없습니다');
+    if (plan.stillOutOfBand && plan.needsRebalance) notes.push('매매 후에도 밴드를 벗어나는 종목이 있습니다 (자금 부족 또는 1주 단위 한계)');
+    if (unpriced.length > 0) notes.push(`가격 없음 (제외): ${unpriced.join(', ')}`);
+
+    resultEl.innerHTML = `
+        <table class="analysis-table">
+            <thead>
+                <tr><th>종목</th><th>현재</th><th>목표</th><th>매매</th><th>금액</th><th>매매 후</th></tr>
+            </thead>
+            <tbody>
+                ${rows}
+                <tr>
+                    <td>현금</td>
+                    <td>${plan.total > 0 ? pct(plan.cashBefore / plan.total) : '-'}</td>
+                    <td>${pct(plan.cashTarget)}</td>
+                    <td>-</td>
+                    <td>${formatBase(plan.cashAfter - plan.cashBefore, true)}</td>
+                    <td>${plan.total > 0 ? pct(plan.cashAfter / plan.total) : '-'}</td>
+                </tr>
+            </tbody>
+        </table>
+        <p class="table-note">${notes.join(' · ')}</p>
+    `;
+}
+
+// Target weight inputs: every holding plus any targeted symbol that isn't held
+function renderTargetEditor(weights = null) {
+    const tbody = document.getElementById('target-rows');
+    if (!tbody) return;
+
+    const target = getTargetAllocation();
+    let values = {};
+    if (weights) {
+        Object.entries(weights).forEach(([symbol, weight]) => { values[symbol] = +(weight * 100).toFixed(4); });
+    } else if (targetEditorPortfolioId === activePortfolioId) {
+        // Same portfolio re-rendered: keep what's being typed
+        tbody.querySelectorAll('.target-weight').forEach(input => { values[input.dataset.symbol] = input.value; });
+    } else if (target) {
+        Object.entries(target.weights).forEach(([symbol, weight]) => { values[symbol] = +(weight * 100).toFixed(4); });
+    }
+    if (!weights && targetEditorPortfolioId !== activePortfolioId) {
+        document.getElementById('target-band').value = target ? target.band : DEFAULT_TARGET_BAND;
+    }
+    targetEditorPortfolioId = activePortfolioId;
+
+    const symbols = [...new Set([...Object.keys(portfolio), ...Object.keys(values)])].sort();
+    tbody.innerHTML = symbols.map(symbol => {
+        const item = portfolio[symbol];
+        const label = isCashItem(item) ? item.name : symbol;
+        return `
+            <tr>
+                <td>${label}${item ? '' : '<span class="pnl-sub">미보유</span>'}</td>
+                <td><input type="number" class="target-weight" data-symbol="${symbol}" min="0" max="100" step="0.1" value="${values[symbol] ?? ''}"></td>
+            </tr>
+        `;
+    }).join('');
+    tbody.querySelectorAll('.target-weight').forEach(input => input.addEventListener('input', updateTargetWeightSum));
+    updateTargetWeightSum();
+}
+
+function readTargetEditor() {
+    const weights = {};
+    document.querySelectorAll('#target-rows .target-weight').forEach(input => {
+        const value = parseFloat(input.value);
+        if (value > 0) weights[input.dataset.symbol] = value / 100;
+    });
+    const band = parseFloat(document.getElementById('target-band').value);
+    return { weights, band: isNaN(band) || band < 0 ? DEFAULT_TARGET_BAND : band };
+}
+
+function updateTargetWeightSum() {
+    const total = Object.values(readTargetEditor().weights).reduce((sum, w) => sum + w, 0) * 100;
+    const el = document.getElementById('target-weight-sum');
+    el.textContent = `합계 ${total.toFixed(2)}%`;
+    el.className = Math.abs(total - 100) > 0.01 ? 'text-down' : 'text-up';
+}
+
+function saveTargetAllocation() {
+    const { weights, band } = readTargetEditor();
+    const total = Object.values(weights).reduce((sum, w) => sum + w, 0);
+    if (Object.keys(weights).length === 0) {
+        alert('목표 비중을 입력해주세요.');
+        return;
+    }
+    if (Math.abs(total - 1) > 0.0001) {
+        alert(`목표 비중 합계가 100%가 아닙니다. (현재 ${(total * 100).toFixed(2)}%)`);
+        return;
+    }
+    portfolios[activePortfolioId].target = normalizeTargetAllocation({ weights, band });
+    savePortfolio();
+    alert('목표 비중을 저장했습니다.');
+}
+
+// Fill the editor from a model portfolio (saved only when the user confirms with 저장)
+function loadTargetFromModel(modelId) {
+    const pf = recommendedPortfolios.find(p => p.id === modelId);
+    if (!pf) return;
+    renderTargetEditor(Object.fromEntries(pf.items.map(item => [item.symbol, item.weight])));
+}
+
+function renderTargetModelOptions() {
+    const select = document.getElementById('target-model-select');
+    select.innerHTML = '<option value="">모델에서 불러오기</option>' + recommendedPortfolios
+        .map(pf => `<option value="${pf.id}">${pf.name}</option>`)
+        .join('');
+}
+
+// --- Risk Metrics ---
+// All metrics work on a dated value series (YYYY-MM-DD keys, null = not invested yet).
+function daysBetween(fromDate, toDate) {
+    return Math.round((new Date(toDate) - new Date(fromDate)) / 86400000);
+}
+
+// Simple returns between consecutive valid points
+function periodReturns(values) {
+    const returns = [];
+    let prev = null;
+    values.forEach(v => {
+        if (v === null || !(v > 0)) return;
+        if (prev !== null) returns.push(v / prev - 1);
+        prev = v;
+    });
+    return returns;
+}
+
+// Calendar-period returns: keyLength 7 = months (YYYY-MM), 4 = years (YYYY).
+// Each period runs from the last value of the previous period (or the first value) to its own last value.
+function calendarReturns(dates, values, keyLength) {
+    const result = [];
+    let base = null;
+    let currentKey = null;
+    let currentLast = null;
+
+    values.forEach((v, t) => {
+        if (v === null || !(v > 0)) return;
+        const key = dates[t].slice(0, keyLength);
+        if (base === null) base = v;
+        if (currentKey !== null && key !== currentKey) {
+            result.push({ period: currentKey, return: currentLast / base - 1 });
+            base = currentLast;
+        }
+        currentKey = key;
+        currentLast = v;
+    });
+    if (currentKey !== null && base !== null) result.push({ period: currentKey, return: currentLast / base - 1 });
+    return result;
+}
+
+// Peak -> trough -> recovery episodes (chronological). Ongoing episodes have recoveryDate null.
+function computeDrawdownEpisodes(dates, values) {
+    const episodes = [];
+    let peakIndex = -1;
+    let current = null;
+    let lastIndex = -1;
+
+    values.forEach((v, t) => {
+        if (v === null || !(v > 0)) return;
+        lastIndex = t;
+        if (peakIndex === -1 || v >= values[peakIndex]) {
+            if (current) {
+                current.recoveryIndex = t;
+                current.recoveryDate = dates[t];
+                episodes.push(current);
+                current = null;
+            }
+            peakIndex = t;
+            return;
+        }
+
+        const depth = v / values[peakIndex] - 1;
+        if (!current) {
+            current = { peakIndex, peakDate: dates[peakIndex], troughIndex: t, troughDate: dates[t], depth, recoveryIndex: null, recoveryDate: null };
+        } else if (depth < current.depth) {
+            current.depth = depth;
+            current.troughIndex = t;
+            current.troughDate = dates[t];
+        }
+    });
+    if (current) episodes.push(current);
+
+    const endDate = lastIndex >= 0 ? dates[lastIndex] : null;
+    episodes.forEach(ep => {
+        ep.durationDays = daysBetween(ep.peakDate, ep.recoveryDate || endDate);
+        ep.recoveryDays = ep.recoveryDate ? daysBetween(ep.troughDate, ep.recoveryDate) : null;
+    });
+    return episodes;
+}
+
+function mean(arr) {
+    return arr.length ? arr.reduce((s, v) => s + v, 0) / arr.length : 0;
+}
+
+function stdDev(arr) {
+    if (arr.length < 2) return 0;
+    const m = mean(arr);
+    return Math.sqrt(arr.reduce((s, v) => s + (v - m) * (v - m), 0) / (arr.length - 1));
+}
+
+// Beta and correlation of monthly returns (daily closes of KR and US markets are hours apart,
+// so daily pairs would understate co-movement)
+function calcBetaCorrelation(dates, values, benchmarkValues) {
+    const both = values.map((v, t) => (v > 0 && benchmarkValues[t] > 0) ? v : null);
+    const bench = benchmarkValues.map((b, t) => both[t] !== null ? b : null);
+    const p = calendarReturns(dates, both, 7).map(r => r.return);
+    const b = calendarReturns(dates, bench, 7).map(r => r.return);
+    const n = Math.min(p.length, b.length);
+    if (n < 3) return { beta: null, correlation: null };
+
+    const pm = mean(p.slice(0, n));
+    const bm = mean(b.slice(0, n));
+    let cov = 0;
+    let varP = 0;
+    let varB = 0;
+    for (let i = 0; i < n; i++) {
+        cov += (p[i] - pm) * (b[i] - bm);
+        varP += (p[i] - pm) * (p[i] - pm);
+        varB += (b[i] - bm) * (b[i] - bm);
+    }
+    return {
+        beta: varB > 0 ? cov / varB : null,
+        correlation: varP > 0 && varB > 0 ? cov / Math.sqrt(varP * varB) : null
+    };
+}
+
+// Full metric suite. Rates are fractions (0.05 = 5%); annualization uses the observed
+// number of points per year, so daily, weekly and monthly series all work.
+function computeRiskMetrics(dates, values, { riskFreeRate = 0, benchmarkValues = null } = {}) {
+    const stats = calcReturnStats(dates, values);
+    const returns = periodReturns(values);
+    const validDates = dates.filter((d, t) => values[t] !== null && values[t] > 0);
+    const years = validDates.length > 1 ? daysBetween(validDates[0], validDates[validDates.length - 1]) / 365.25 : 0;
+    const periodsPerYear = years > 0 ? returns.length / years : 252;
+
+    const rfPeriod = Math.pow(1 + riskFreeRate, 1 / periodsPerYear) - 1;
+    const excess = returns.map(r => r - rfPeriod);
+    const volatility = stdDev(returns) * Math.sqrt(periodsPerYear);
+    const downside = Math.sqrt(mean(excess.map(r => Math.min(0, r) ** 2))) * Math.sqrt(periodsPerYear);
+    const annualExcess = mean(excess) * periodsPerYear;
+
+    const months = calendarReturns(dates, values, 7);
+    const yearsList = calendarReturns(dates, values, 4);
+    const pickBest = list => list.reduce((best, r) => (!best || r.return > best.return) ? r : best, null);
+    const pickWorst = list => list.reduce((worst, r) => (!worst || r.return < worst.return) ? r : worst, null);
+
+    const episodes = computeDrawdownEpisodes(dates, values);
+    const deepest = episodes.reduce((d, ep) => (!d || ep.depth < d.depth) ? ep : d, null);
+    const longest = episodes.reduce((l, ep) => (!l || ep.durationDays > l.durationDays) ? ep : l, null);
+    const ongoing = episodes.length && episodes[episodes.length - 1].recoveryDate === null ? episodes[episodes.length - 1] : null;
+
+    const metrics = {
+        totalReturn: stats.totalReturn,
+        cagr: stats.cagr,
+        mdd: stats.mdd,
+        volatility: volatility * 100,
+        sharpe: volatility > 0 ? annualExcess / volatility : null,
+        sortino: downside > 0 ? annualExcess / downside : null,
+        calmar: stats.mdd < 0 ? stats.cagr / Math.abs(stats.mdd) : null,
+        bestMonth: pickBest(months),
+        worstMonth: pickWorst(months),
+        bestYear: pickBest(yearsList),
+        worstYear: pickWorst(yearsList),
+        maxDrawdownEpisode: deepest,
+        longestDrawdownDays: longest ? longest.durationDays : 0,
+        currentDrawdown: ongoing ? (values[values.length - 1] / values[ongoing.peakIndex] - 1) * 100 : 0,
+        beta: null,
+        correlation: null
+    };
+
+    if (benchmarkValues) Object.assign(metrics, calcBetaCorrelation(dates, values, benchmarkValues));
+    return metrics;
+}
+
+// --- Benchmarks ---
+// Options: the dashboard indices and the recommended model portfolios
+function getBenchmarkOptions() {
+    return [
+        ...indices.map(index => ({ id: `index:${index.id}`, label: index.name })),
+        ...recommendedPortfolios.map(pf => ({ id: `pf:${pf.id}`, label: pf.name }))
+    ];
+}
+
+// Forward-filled prices of `symbols` on the given date keys, converted into `currency`
+// (each series' own currency comes from its quote metadata)
+async function fetchAlignedPrices(symbols, range, dates, returnMode = 'total', currency = baseCurrency) {
+    const results = await Promise.all(symbols.map(symbol => fetchHistory(symbol, range)));
+    const currencies = results.map((series, idx) => (series && series.currency) || inferCurrency(symbols[idx]));
+    const fxHistories = await fetchFxHistories([...currencies, currency], range);
+    const conversion = alignFxConversion(currencies, currency, dates, fxHistories);
+
+    return results.map((series, idx) => {
+        if (!series) return dates.map(() => null);
+        const priceMap = new Map(series.bars.map(bar => [formatDateKey(bar.time), barClose(bar, returnMode)]));
+        const fx = conversion[currencies[idx]];
+
+        let lastPrice = null;
+        return dates.map((date, t) => {
+            if (priceMap.has(date)) lastPrice = priceMap.get(date);
+            if (lastPrice === null || !fx[t]) return null;
+            return lastPrice * fx[t];
+        });
+    });
+}
+
+// Value series of a benchmark aligned to `dates` in the reporting currency
+// (model portfolios use their rebalancing policy)
+async function loadBenchmarkValues(benchmarkId, range, dates, returnMode = 'total') {
+    const [kind, id] = benchmarkId.split(':');
+
+    if (kind === 'index') {
+        const index = indices.find(i => i.id === id);
+        if (!index) return null;
+        const [values] = await fetchAlignedPrices([index.symbol], range, dates, returnMode);
+        return values;
+    }
+
+    if (kind === 'pf') {
+        const pf = recommendedPortfolios.find(p => p.id === id);
+        if (!pf) return null;
+        const prices = await fetchAlignedPrices(pf.items.map(i => i.symbol), range, dates, returnMode);
+        const policy = pf.items.length > 1 ? (pf.rebalance || DEFAULT_RECOMMEND_REBALANCE) : 'none';
+        return simulateRebalancing(dates, prices, pf.items.map(i => i.weight), { policy }).values;
+    }
+
+    return null;
+}
+
+function getBenchmarkLabel(benchmarkId) {
+    const option = getBenchmarkOptions().find(o => o.id === benchmarkId);
+    return option ? option.label : benchmarkId;
+}
+
+// --- Benchmark Overlay ---
+const BENCHMARK_COLORS = ['#f472b6', '#34d399', '#a78bfa', '#fbbf24', '#f87171', '#22d3ee'];
+let benchmarkOverlays = [];
+try {
+    const savedOverlays = JSON.parse(localStorage.getItem('benchmarkOverlays'));
+    if (Array.isArray(savedOverlays)) benchmarkOverlays = savedOverlays.filter(id => typeof id === 'string');
+} catch (e) {
+    console.error('Failed to load benchmark overlays', e);
+}
+
+// Benchmark value path that starts at the portfolio's value and receives the same cash flows
+// on the same dates, so dated buys/sells don't make either line look better.
+// `index` is the portfolio's time-weighted index: flow = V[t] - V[t-1] * index[t] / index[t-1].
+function rebaseBenchmarkToPortfolio(values, index, benchmarkValues) {
+    const result = values.map(() => null);
+    const start = values.findIndex((v, t) => v > 0 && benchmarkValues[t] > 0);
+    if (start === -1) return result;
+
+    result[start] = values[start];
+    let lastBench = benchmarkValues[start];
+    for (let t = start + 1; t < values.length; t++) {
+        const growth = index[t - 1] > 0 ? index[t] / index[t - 1] : 1;
+        const flow = values[t] - values[t - 1] * growth;
+        const bench = benchmarkValues[t] > 0 ? benchmarkValues[t] : lastBench;
+        result[t] = Math.max(0, result[t - 1] * (bench / lastBench) + flow);
+        lastBench = bench;
+    }
+    return result;
+}
+
+// Cumulative excess return (%p) of the portfolio's time-weighted index over the benchmark
+function calcExcessReturnSeries(index, benchmarkValues) {
+    const start = index.findIndex((v, t) => v > 0 && benchmarkValues[t] > 0);
+    if (start === -1) return index.map(() => null);
+    let lastBench = benchmarkValues[start];
+    return index.map((v, t) => {
+        if (t < start) return null;
+        if (benchmarkValues[t] > 0) lastBench = benchmarkValues[t];
+        return (v / index[start] - lastBench / benchmarkValues[start]) * 100;
+    });
+}
+
+// Relative performance on the common window: both series start where the benchmark has data
+function calcRelativeStats(dates, index, benchmarkValues) {
+    const common = index.map((v, t) => (v > 0 && benchmarkValues[t] > 0) ? v : null);
+    const bench = benchmarkValues.map((b, t) => common[t] !== null ? b : null);
+    const own = calcReturnStats(dates, common);
+    const other = calcReturnStats(dates, bench);
+
+    const p = calendarReturns(dates, common, 7).map(r => r.return);
+    const b = calendarReturns(dates, bench, 7).map(r => r.return);
+    const diffs = p.slice(0, Math.min(p.length, b.length)).map((r, i) => r - b[i]);
+    const trackingError = stdDev(diffs) * Math.sqrt(12);
+    const hitRate = diffs.length ? diffs.filter(d => d > 0).length / diffs.length * 100 : null;
+
+    return {
+        benchmark: other,
+        portfolio: own,
+        excessReturn: own.totalReturn - other.totalReturn,
+        excessCagr: own.cagr - other.cagr,
+        trackingError: trackingError * 100,
+        informationRatio: trackingError > 0 ? mean(diffs) * 12 / trackingError : null,
+        hitRate,
+        ...calcBetaCorrelation(dates, common, bench)
+    };
+}
+
+// Loads the selected overlays, fills the relative-performance table and returns chart datasets
+async function renderBenchmarkOverlays(timeline, range, returnMode) {
+    const statsEl = document.getElementById('benchmark-stats');
+    if (benchmarkOverlays.length === 0) {
+        statsEl.style.display = 'none';
+        return [];
+    }
+
+    const loaded = await Promise.all(benchmarkOverlays.map(async id => {
+        try {
+            return { id, values: await loadBenchmarkValues(id, range, timeline.dates, returnMode) };
+        } catch (e) {
+            console.warn('Benchmark overlay failed', id, e);
+            return { id, values: null };
+        }
+    }));
+
+    const datasets = [];
+    const rows = [];
+    const pct = v => v === null ? '-' : `<span class="${pnlClass(v)}">${v.toFixed(2)}%</span>`;
+    const ratio = v => v === null ? '-' : v.toFixed(2);
+
+    loaded.forEach(({ id, values }, i) => {
+        if (!values || !values.some(v => v > 0)) return;
+        const label = getBenchmarkLabel(id);
+        const color = BENCHMARK_COLORS[i % BENCHMARK_COLORS.length];
+
+        datasets.push({
+            label: `${label} (같은 시작·입출금)`,
+            data: rebaseBenchmarkToPortfolio(timeline.values, timeline.index, values),
+            borderColor: color,
+            borderWidth: 1.5,
+            pointRadius: 0,
+            fill: false,
+            tension: 0.2
+        }, {
+            label: `초과수익 vs ${label} (%p)`,
+            data: calcExcessReturnSeries(timeline.index, values),
+            yAxisID: 'excess',
+            borderColor: color,
+            borderDash: [2, 3],
+            borderWidth: 1,
+            pointRadius: 0,
+            fill: false,
+            tension: 0.2
+        });
+
+        const rel = calcRelativeStats(timeline.dates, timeline.index, values);
+        rows.push(`
+            <tr>
+                <td><span class="legend-dot" style="background:${color}"></span>${label}</td>
+                <td>${pct(rel.benchmark.totalReturn)}</td>
+                <td>${pct(rel.benchmark.cagr)}</td>
+                <td>${pct(rel.benchmark.mdd)}</td>
+                <td>${pct(rel.excessReturn)}</td>
+                <td>${pct(rel.excessCagr)}</td>
+                <td>${rel.trackingError.toFixed(2)}%</td>
+                <td>${ratio(rel.informationRatio)}</td>
+                <td>${ratio(rel.beta)} / ${ratio(rel.correlation)}</td>
+                <td>${rel.hitRate === null ? '-' : rel.hitRate.toFixed(0) + '%'}</td>
+            </tr>
+        `);
+    });
+
+    if (rows.length === 0) {
+        statsEl.style.display = 'none';
+        return datasets;
+    }
+
+    statsEl.innerHTML = `
+        <table class="analysis-table">
+            <thead>
+                <tr><th>벤치마크</th><th>총수익률</th><th>CAGR</th><th>MDD</th><th>초과수익</th><th>초과 CAGR</th><th>추적오차</th><th>정보비율</th><th>베타 / 상관</th><th>월간 승률</th></tr>
+            </thead>
+            <tbody>${rows.join('')}</tbody>
+        </table>
+    `;
+    statsEl.style.display = 'block';
+    return datasets;
+}
+
+function renderBenchmarkOverlayOptions() {
+    const container = document.getElementById('benchmark-overlays');
+    container.innerHTML = '<span class="overlay-title">겹쳐보기</span>';
+    getBenchmarkOptions().forEach(option => {
+        const label = document.createElement('label');
+        label.className = 'overlay-option';
+        label.innerHTML = `<input type="checkbox" value="${option.id}" ${benchmarkOverlays.includes(option.id) ? 'checked' : ''}> ${option.label}`;
+        label.querySelector('input').addEventListener('change', (e) => {
+            benchmarkOverlays = benchmarkOverlays.filter(id => id !== option.id);
+            if (e.target.checked) benchmarkOverlays.push(option.id);
+            localStorage.setItem('benchmarkOverlays', JSON.stringify(benchmarkOverlays));
+            if (lastAnalysisRange) analyzePortfolio(lastAnalysisRange);
+        });
+        container.appendChild(label);
+    });
+}
+
+// --- Drawdown (Underwater) ---
+const DRAWDOWN_EPISODE_COUNT = 5;
+let drawdownChart = null;
+
+// Percent below the running peak at every point (0 at new highs)
+function calcUnderwaterSeries(values) {
+    let peak = null;
+    return values.map(v => {
+        if (v === null || !(v > 0)) return null;
+        if (peak === null || v > peak) peak = v;
+        return (v / peak - 1) * 100;
+    });
+}
+
+function renderDrawdownChart(labels, underwater) {
+    const ctx = document.getElementById('drawdownChart').getContext('2d');
+
+    if (drawdownChart) {
+        drawdownChart.destroy();
+    }
+
+    drawdownChart = new Chart(ctx, {
+        type: 'line',
+        data: {
+            labels: labels,
+            datasets: [{
+                label: '고점 대비 하락률 (%)',
+                data: underwater,
+                borderColor: '#ef4444',
+                backgroundColor: 'rgba(239, 68, 68, 0.2)',
+                borderWidth: 1.5,
+                pointRadius: 0,
+                fill: 'origin',
+                tension: 0.2
+            }]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            interaction: {
+                mode: 'index',
+                intersect: false,
+            },
+            plugins: {
+                legend: { display: false },
+                tooltip: {
+                    callbacks: {
+                        label: context => `고점 대비 ${context.raw.toFixed(2)}%`
+                    }
+                }
+            },
+            scales: {
+                x: {
+                    grid: { display: false },
+                    ticks: {
+                        color: '#8b92a5',
+                        maxTicksLimit: 8
+                    }
+                },
+                y: {
+                    position: 'right',
+                    max: 0,
+                    grid: { color: 'rgba(255,255,255,0.05)' },
+                    ticks: {
+                        color: '#8b92a5',
+                        callback: value => `${value}%`
+                    }
+                }
+            },
+            animation: { duration: 0 }
+        }
+    });
+}
+
+// Deepest episodes first; ongoing ones show as not yet recovered
+function renderDrawdownEpisodes(episodes) {
+    const el = document.getElementById('drawdown-episodes');
+    const top = [...episodes].sort((a, b) => a.depth - b.depth).slice(0, DRAWDOWN_EPISODE_COUNT);
+    if (top.length === 0) {
+        el.style.display = 'none';
+        return;
+    }
+
+    const underwaterDays = episodes.reduce((sum, ep) => sum + ep.durationDays, 0);
+    const rows = top.map((ep, i) => `
+        <tr>
+            <td>${i + 1}</td>
+            <td>${ep.peakDate}</td>
+            <td>${ep.troughDate}</td>
+            <td><span class="text-down">${(ep.depth * 100).toFixed(2)}%</span></td>
+            <td>${ep.durationDays}일</td>
+            <td>${ep.recoveryDate || '<span class="pnl-sub">미회복</span>'}</td>
+            <td>${ep.recoveryDays === null ? '-' : ep.recoveryDays + '일'}</td>
+        </tr>
+    `).join('');
+
+    el.innerHTML = `
+        <table class="analysis-table">
+            <thead>
+                <tr><th>#</th><th>고점</th><th>저점</th><th>하락폭</th><th>기간</th><th>회복일</th><th>회복 소요</th></tr>
+            </thead>
+            <tbody>${rows}</tbody>
+        </table>
+        <p class="table-note">하락 구간 ${episodes.length}회 · 고점 아래에 머문 기간 합계 ${underwaterDays}일</p>
+    `;
+    el.style.display = 'block';
+}
+
+// --- Rolling Windows ---
+const ROLLING_WINDOWS = [
+    { id: '1y', label: '1년', days: 365 },
+    { id: '3y', label: '3년', days: 1095 }
+];
+
+// Rolling CAGR / volatility / Sharpe ending at each date (null until a full window is available).
+// A window starts at the last point on or before (end - windowDays); prefix sums keep it O(n).
+function calcRollingStats(dates, values, windowDays, { riskFreeRate = 0 } = {}) {
+    const result = {
+        cagr: dates.map(() => null),
+        volatility: dates.map(() => null),
+        sharpe: dates.map(() => null)
+    };
+
+    const valid = [];
+    values.forEach((v, t) => { if (v !== null && v > 0) valid.push(t); });
+    if (valid.length < 2) return result;
+
+    const times = valid.map(t => new Date(dates[t]).getTime());
+    const sum = [0];
+    const sumSq = [0];
+    for (let k = 1; k < valid.length; k++) {
+        const r = values[valid[k]] / values[valid[k - 1]] - 1;
+        sum.push(sum[k - 1] + r);
+        sumSq.push(sumSq[k - 1] + r * r);
+    }
+
+    const windowMs = windowDays * 86400000;
+    let start = -1;
+    for (let j = 1; j < valid.length; j++) {
+        while (start + 1 < j && times[start + 1] <= times[j] - windowMs) start++;
+        if (start === -1) continue;
+
+        const n = j - start;
+        const years = (times[j] - times[start]) / (365.25 * 86400000);
+        const t = valid[j];
+        result.cagr[t] = (Math.pow(values[t] / values[valid[start]], 1 / years) - 1) * 100;
+        if (n < 2) continue;
+
+        const periodsPerYear = n / years;
+        const avg = (sum[j] - sum[start]) / n;
+        const variance = Math.max(0, (sumSq[j] - sumSq[start] - n * avg * avg) / (n - 1));
+        const vol = Math.sqrt(variance * periodsPerYear);
+        const rfPeriod = Math.pow(1 + riskFreeRate, 1 / periodsPerYear) - 1;
+        result.volatility[t] = vol * 100;
+        result.sharpe[t] = vol > 0 ? (avg - rfPeriod) * periodsPerYear / vol : null;
+    }
+    return result;
+}
+
+// Min / median / max of the non-null values, plus the share of windows above zero
+function summarizeDistribution(series) {
+    const sorted = series.filter(v => v !== null).sort((a, b) => a - b);
+    if (sorted.length === 0) return null;
+    const mid = Math.floor(sorted.length / 2);
+    return {
+        count: sorted.length,
+        min: sorted[0],
+        median: sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2,
+        max: sorted[sorted.length - 1],
+        positive: sorted.filter(v => v > 0).length / sorted.length * 100
+    };
+}
+
+function renderRollingLineChart(canvasId, chartKey, labels, datasets, scales) {
+    if (charts[chartKey]) {
+        charts[chartKey].destroy();
+    }
+
+    const ctx = document.getElementById(canvasId).getContext('2d');
+    charts[chartKey] = new Chart(ctx, {
+        type: 'line',
+        data: { labels, datasets },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            interaction: {
+                mode: 'index',
+                intersect: false,
+            },
+            plugins: {
+                legend: {
+                    display: true,
+                    labels: { color: '#fff' }
+                }
+            },
+            scales: {
+                x: {
+                    grid: { display: false },
+                    ticks: {
+                        color: '#8b92a5',
+                        maxTicksLimit: 8
+                    }
+                },
+                ...scales
+            },
+            animation: { duration: 0 }
+        }
+    });
+}
+
+// Rolling CAGR for every window, volatility/Sharpe for the selected one, and the return distribution
+function renderRollingAnalysis(dates, index, riskFreeRate) {
+    const container = document.getElementById('rolling-container');
+    const windowId = document.getElementById('rolling-window').value;
+    const stats = ROLLING_WINDOWS.map(w => ({ ...w, ...calcRollingStats(dates, index, w.days, { riskFreeRate }) }));
+
+    if (!stats.some(s => s.cagr.some(v => v !== null))) {
+        container.style.display = 'none';
+        return;
+    }
+    container.style.display = 'block';
+
+    const lineStyle = { borderWidth: 1.5, pointRadius: 0, fill: false, tension: 0.2, spanGaps: false };
+    const percentAxis = position => ({
+        position,
+        grid: { color: 'rgba(255,255,255,0.05)' },
+        ticks: { color: '#8b92a5', callback: value => `${value}%` }
+    });
+
+    renderRollingLineChart('rollingReturnChart', 'rollingReturn', dates, stats.map((s, i) => ({
+        label: `롤링 ${s.label} CAGR (%)`,
+        data: s.cagr,
+        borderColor: i === 0 ? '#3b82f6' : '#10b981',
+        ...lineStyle
+    })), { y: percentAxis('right') });
+
+    const selected = stats.find(s => s.id === windowId) || stats[0];
+    renderRollingLineChart('rollingRiskChart', 'rollingRisk', dates, [{
+        label: `롤링 ${selected.label} 변동성 (%)`,
+        data: selected.volatility,
+        borderColor: '#f59e0b',
+        yAxisID: 'y',
+        ...lineStyle
+    }, {
+        label: `롤링 ${selected.label} 샤프 지수`,
+        data: selected.sharpe,
+        borderColor: '#a78bfa',
+        yAxisID: 'sharpe',
+        ...lineStyle
+    }], {
+        y: percentAxis('right'),
+        sharpe: {
+            position: 'left',
+            grid: { display: false },
+            ticks: { color: '#8b92a5' }
+        }
+    });
+
+    const pct = v => `<span class="${pnlClass(v)}">${v.toFixed(2)}%</span>`;
+    const rows = stats.map(s => {
+        const dist = summarizeDistribution(s.cagr);
+        if (!dist) return `<tr><td>${s.label}</td><td colspan="5">기간이 짧아 계산할 수 없어요</td></tr>`;
+        return `
+            <tr>
+                <td>${s.label}</td>
+                <td>${pct(dist.min)}</td>
+                <td>${pct(dist.median)}</td>
+                <td>${pct(dist.max)}</td>
+                <td>${dist.positive.toFixed(0)}%</td>
+                <td>${dist.count}</td>
+            </tr>
+        `;
+    }).join('');
+
+    document.getElementById('rolling-stats').innerHTML = `
+        <table class="analysis-table">
+            <thead>
+                <tr><th>롤링 CAGR</th><th>최소</th><th>중앙값</th><th>최대</th><th>플러스 비율</th><th>구간 수</th></tr>
+            </thead>
+            <tbody>${rows}</tbody>
+        </table>
+    `;
+}
+
+// --- Allocation Over Time ---
+// Fixed per-holding colors so donuts and the stacked area chart agree
+const COMPOSITION_COLORS = [
+    '#FF6384', '#36A2EB', '#FFCE56', '#4BC0C0', '#9966FF', '#FF9F40',
+    '#E7E9ED', '#76A346', '#CD5C5C', '#1E90FF', '#DAA520'
+];
+
+// First date where the opening composition is known: every holding priced within the first
+// week of the window (markets in different time zones/holidays) must have its first price.
+// Holdings that only start trading later are left at zero, which is what they were.
+function findCompositionStart(timeline) {
+    const { dates, values, holdingPrices } = timeline;
+    const first = values.findIndex(v => v > 0);
+    if (first === -1) return -1;
+
+    const cutoff = new Date(dates[first]).getTime() + 7 * 86400000;
+    let start = first;
+    holdingPrices.forEach(prices => {
+        const priced = prices.findIndex(p => p > 0);
+        if (priced > start && new Date(dates[priced]).getTime() <= cutoff) start = priced;
+    });
+    return start;
+}
+
+// Share of each holding in the portfolio value on every date (percent, sums to 100)
+function calcAllocationWeights(timeline) {
+    return timeline.holdingValues.map(series => series.map((v, t) => {
+        const total = timeline.values[t];
+        return total > 0 ? v / total * 100 : null;
+    }));
+}
+
+function renderAllocationChart(timeline, items) {
+    const container = document.getElementById('allocation-container');
+    const weights = calcAllocationWeights(timeline);
+    container.style.display = 'block';
+
+    if (charts.allocation) {
+        charts.allocation.destroy();
+    }
+
+    const ctx = document.getElementById('allocationChart').getContext('2d');
+    charts.allocation = new Chart(ctx, {
+        type: 'line',
+        data: {
+            labels: timeline.dates,
+            datasets: items.map((item, idx) => ({
+                label: item.name,
+                data: weights[idx],
+                borderColor: COMPOSITION_COLORS[idx % COMPOSITION_COLORS.length],
+                backgroundColor: COMPOSITION_COLORS[idx % COMPOSITION_COLORS.length] + 'b3',
+                borderWidth: 0.5,
+                pointRadius: 0,
+                fill: idx === 0 ? 'origin' : '-1',
+                tension: 0
+            }))
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            interaction: {
+                mode: 'index',
+                intersect: false,
+            },
+            plugins: {
+                legend: {
+                    position: 'bottom',
+                    labels: { color: '#9ca3af', font: { size: 11 } }
+                },
+                tooltip: {
+                    callbacks: {
+                        label: context => `${context.dataset.label}: ${context.raw === null ? '-' : context.raw.toFixed(1) + '%'}`
+                    }
+                }
+            },
+            scales: {
+                x: {
+                    grid: { display: false },
+                    ticks: {
+                        color: '#8b92a5',
+                        maxTicksLimit: 8
+                    }
+                },
+                y: {
+                    stacked: true,
+                    min: 0,
+                    max: 100,
+                    position: 'right',
+                    grid: { color: 'rgba(255,255,255,0.05)' },
+                    ticks: {
+                        color: '#8b92a5',
+                        callback: value => `${value}%`
+                    }
+                }
+            },
+            animation: { duration: 0 }
+        }
+    });
+}
+
+// --- Dollar-Cost Averaging (적립식) ---
+// XIRR of dated cash flows ({date: 'YYYY-MM-DD', amount}); investments negative, final value positive.
+// Newton's method with a bisection fallback. Returns an annual rate (0.07 = 7%) or null.
+function calcXirr(flows) {
+    if (flows.length < 2 || !flows.some(f => f.amount < 0) || !flows.some(f => f.amount > 0)) return null;
+    const t0 = new Date(flows[0].date).getTime();
+    const years = flows.map(f => (new Date(f.date).getTime() - t0) / (365.25 * 86400000));
+    const npv = rate => flows.reduce((sum, f, i) => sum + f.amount / Math.pow(1 + rate, years[i]), 0);
+    const dNpv = rate => flows.reduce((sum, f, i) => sum - years[i] * f.amount / Math.pow(1 + rate, years[i] + 1), 0);
+
+    let rate = 0.1;
+    for (let i = 0; i < 50; i++) {
+        const d = dNpv(rate);
+        if (!isFinite(d) || d === 0) break;
+        const next = rate - npv(rate) / d;
+        if (!isFinite(next) || next <= -0.9999) break;
+        if (Math.abs(next - rate) < 1e-8) return next;
+        rate = next;
+    }
+
+    // NPV falls as the rate rises for invest-then-withdraw flows
+    let low = -0.9999;
+    let high = 10;
+    if (npv(low) * npv(high) > 0) return null;
+    for (let i = 0; i < 200; i++) {
+        const mid = (low + high) / 2;
+        if (npv(mid) > 0) low = mid;
+        else high = mid;
+    }
+    return (low + high) / 2;
+}
+
+// Invest `monthlyAmount` KRW on the first trading day of every month, split by `weights`.
+// `prices` are in the reporting currency per share (foreign assets already converted at that
+// day's exchange rate), so each purchase uses the historical rate. No rebalancing, no selling.
+function simulateDca(dates, prices, weights, monthlyAmount) {
+    const totalWeight = weights.reduce((sum, w) => sum + w, 0) || 1;
+    const target = weights.map(w => w / totalWeight);
+    const values = new Array(dates.length).fill(null);
+    const contributed = new Array(dates.length).fill(null);
+    const result = { values, contributed, flows: [], startIndex: -1, totalContributed: 0 };
+
+    const start = dates.findIndex((d, t) => target.every((w, i) => w === 0 || prices[i][t] > 0));
+    if (start === -1) return result;
+    result.startIndex = start;
+
+    const units = target.map(() => 0);
+    const lastPrices = prices.map(series => series[start]);
+    let total = 0;
+
+    for (let t = start; t < dates.length; t++) {
+        prices.forEach((series, i) => {
+            if (series[t] > 0) lastPrices[i] = series[t];
+        });
+
+        if (t === start || dates[t].slice(0, 7) !== dates[t - 1].slice(0, 7)) {
+            target.forEach((w, i) => {
+                if (w > 0) units[i] += monthlyAmount * w / lastPrices[i];
+            });
+            total += monthlyAmount;
+            result.flows.push({ date: dates[t], amount: -monthlyAmount });
+        }
+
+        values[t] = units.reduce((sum, u, i) => sum + u * lastPrices[i], 0);
+        contributed[t] = total;
+    }
+
+    result.totalContributed = total;
+    result.flows.push({ date: dates[dates.length - 1], amount: values[dates.length - 1] });
+    return result;
+}
+
+function getDcaAmount() {
+    const val = parseFloat(document.getElementById('dca-amount').value);
+    return isNaN(val) || val <= 0 ? 0 : val * baseInputUnit().multiplier;
+}
+
+// Monthly DCA of today's allocation vs investing the same total as a lump sum on the first day
+function renderDcaComparison(timeline, monthlyAmount) {
+    const container = document.getElementById('dca-container');
+    const lastIndex = timeline.dates.length - 1;
+    const weights = timeline.holdingValues.map(values => values[lastIndex] || 0);
+    if (monthlyAmount <= 0 || weights.every(w => w <= 0)) {
+        container.style.display = 'none';
+        return;
+    }
+
+    const dca = simulateDca(timeline.dates, timeline.holdingPrices, weights, monthlyAmount);
+    if (dca.startIndex === -1) {
+        container.style.display = 'none';
+        return;
+    }
+
+    const lump = simulateRebalancing(timeline.dates, timeline.holdingPrices, weights, { initialValue: dca.totalContributed });
+    const startDate = timeline.dates[dca.startIndex];
+    const endDate = timeline.dates[lastIndex];
+    const lumpFinal = lump.values[lastIndex];
+    const dcaFinal = dca.values[lastIndex];
+    const dcaXirr = calcXirr(dca.flows);
+    const lumpXirr = calcXirr([{ date: startDate, amount: -dca.totalContributed }, { date: endDate, amount: lumpFinal }]);
+
+    const pct = v => v === null ? '-' : `<span class="${pnlClass(v)}">${v.toFixed(2)}%</span>`;
+    const row = (label, final, xirr, mdd) => `
+        <tr>
+            <td>${label}</td>
+            <td>${formatMoney(dca.totalContributed)}</td>
+            <td>${formatMoney(final)}</td>
+            <td>${formatMoney(final - dca.totalContributed, true)}</td>
+            <td>${pct((final / dca.totalContributed - 1) * 100)}</td>
+            <td>${pct(xirr === null ? null : xirr * 100)}</td>
+            <td>${pct(mdd)}</td>
+        </tr>
+    `;
+
+    document.getElementById('dca-stats').innerHTML = `
+        <table class="analysis-table">
+            <thead>
+                <tr><th>현재 비중 기준</th><th>총 투입</th><th>최종 평가액</th><th>손익</th><th>누적 수익률</th><th>XIRR</th><th>MDD</th></tr>
+            </thead>
+            <tbody>
+                ${row(`적립식 (매월 ${formatMoney(monthlyAmount)})`, dcaFinal, dcaXirr, calcReturnStats(timeline.dates, dca.values.map((v, t) => v !== null ? v / dca.contributed[t] : null)).mdd)}
+                ${row('거치식 (첫날 일시 투자)', lumpFinal, lumpXirr, calcReturnStats(timeline.dates, lump.values).mdd)}
+            </tbody>
+        </table>
+        <p class="table-note">${startDate}부터 매월 첫 거래일에 매수 · 달러 자산은 매수일 환율로 환전 · 적립식 MDD는 투입 원금 대비 평가액 기준</p>
+    `;
+    container.style.display = 'block';
+
+    if (charts.dca) {
+        charts.dca.destroy();
+    }
+    const ctx = document.getElementById('dcaChart').getContext('2d');
+    charts.dca = new Chart(ctx, {
+        type: 'line',
+        data: {
+            labels: timeline.dates,
+            datasets: [{
+                label: '적립식 평가액',
+                data: dca.values,
+                borderColor: '#3b82f6',
+                backgroundColor: 'rgba(59, 130, 246, 0.1)',
+                borderWidth: 2,
+                pointRadius: 0,
+                fill: true,
+                tension: 0.2
+            }, {
+                label: '누적 투입 원금',
+                data: dca.contributed,
+                borderColor: '#9ca3af',
+                borderWidth: 1.5,
+                pointRadius: 0,
+                stepped: true,
+                fill: false
+            }, {
+                label: '거치식 평가액',
+                data: lump.values,
+                borderColor: '#f59e0b',
+                borderDash: [4, 4],
+                borderWidth: 1.5,
+                pointRadius: 0,
+                fill: false,
+                tension: 0.2
+            }]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            interaction: {
+                mode: 'index',
+                intersect: false,
+            },
+            plugins: {
+                legend: {
+                    display: true,
+                    labels: { color: '#fff' }
+                }
+            },
+            scales: {
+                x: {
+                    grid: { display: false },
+                    ticks: {
+                        color: '#8b92a5',
+                        maxTicksLimit: 8
+                    }
+                },
+                y: {
+                    position: 'right',
+                    grid: { color: 'rgba(255,255,255,0.05)' },
+                    ticks: {
+                        color: '#8b92a5',
+                        callback: value => formatAxisMoney(value)
+                    }
+                }
+            },
+            animation: { duration: 0 }
+        }
+    });
+}
+
+// --- Portfolio Comparison ---
+const COMPARISON_MIN = 2;
+const COMPARISON_MAX = 5;
+const COMPARISON_COLORS = ['#3b82f6', ...BENCHMARK_COLORS];
+let comparisonSelection = [];
+
+// Choices: the user's named portfolios ('user:<id>') and the recommended ones ('pf:<id>')
+function getComparisonOptions() {
+    serializePortfolios();
+    return [
+        ...Object.values(portfolios).map(pf => ({ id: `user:${pf.id}`, label: pf.name, group: '내 포트폴리오' })),
+        ...recommendedPortfolios.map(pf => ({ id: `pf:${pf.id}`, label: pf.name, group: '추천 포트폴리오' }))
+    ];
+}
+
+// Values of a dated series on `grid` dates, forward-filled (null before the series starts)
+function alignSeriesToGrid(grid, dates, values) {
+    const map = new Map();
+    dates.forEach((date, t) => {
+        if (values[t] !== null && values[t] > 0) map.set(date, values[t]);
+    });
+    let last = null;
+    return grid.map(date => {
+        if (map.has(date)) last = map.get(date);
+        return last;
+    });
+}
+
+// Performance series of one comparison entry on the grid (time-weighted for user portfolios)
+async function loadComparisonSeries(optionId, range, grid, returnMode) {
+    const [kind, id] = optionId.split(':');
+    if (kind === 'user') {
+        const items = Object.values(portfolios[id] ? portfolios[id].holdings : {});
+        if (items.length === 0) return null;
+        const timeline = await buildPortfolioTimeline(items, range, { returnMode });
+        const index = timeline.index.map((v, t) => timeline.values[t] > 0 ? v : null);
+        return alignSeriesToGrid(grid, timeline.dates, index);
+    }
+    return loadBenchmarkValues(optionId, range, grid, returnMode);
+}
+
+async function runComparison() {
+    const ids = comparisonSelection;
+    if (ids.length < COMPARISON_MIN || ids.length > COMPARISON_MAX) {
+        alert(`비교할 포트폴리오를 ${COMPARISON_MIN}~${COMPARISON_MAX}개 선택해주세요.`);
+        return;
+    }
+
+    const range = document.getElementById('comparison-range').value;
+    const loadingEl = document.getElementById('comparison-loading');
+    const resultEl = document.getElementById('comparison-result');
+    loadingEl.style.display = 'block';
+    resultEl.style.display = 'none';
+
+    try {
+        const grid = await fetchDateGrid(range);
+        const loaded = await Promise.all(ids.map(async id => {
+            try {
+                return { id, values: await loadComparisonSeries(id, range, grid, analysisReturnMode) };
+            } catch (e) {
+                console.warn('Comparison load failed', id, e);
+                return { id, values: null };
+            }
+        }));
+
+        const series = loaded.filter(s => s.values && s.values.some(v => v > 0));
+        const failed = loaded.filter(s => !series.includes(s)).map(s => getComparisonLabel(s.id));
+        if (series.length < COMPARISON_MIN) throw new Error('비교할 수 있는 데이터가 부족합니다.');
+
+        // Same window for everyone: from the latest start to the end, rebased to 100
+        const start = Math.max(...series.map(s => s.values.findIndex(v => v > 0)));
+        const dates = grid.slice(start);
+        series.forEach(s => {
+            const base = s.values[start];
+            s.rebased = s.values.slice(start).map(v => v > 0 ? v / base * 100 : null);
+        });
+
+        renderComparison(series, dates, failed);
+    } catch (error) {
+        console.error(error);
+        alert('비교 중 오류가 발생했습니다: ' + error.message);
+    } finally {
+        loadingEl.style.display = 'none';
+    }
+}
+
+function getComparisonLabel(optionId) {
+    const option = getComparisonOptions().find(o => o.id === optionId);
+    return option ? option.label : optionId;
+}
+
+function renderComparison(series, dates, failed) {
+    const resultEl = document.getElementById('comparison-result');
+    const riskFreeRate = getRiskOptions().riskFreeRate;
+    const pct = v => v === null || v === undefined ? '-' : `<span class="${pnlClass(v)}">${v.toFixed(2)}%</span>`;
+    const ratio = v => v === null || v === undefined ? '-' : v.toFixed(2);
+
+    const rows = series.map((s, i) => {
+        const m = computeRiskMetrics(dates, s.rebased, { riskFreeRate });
+        const color = COMPARISON_COLORS[i % COMPARISON_COLORS.length];
+        return `
+            <tr>
+                <td><span class="legend-dot" style="background:${color}"></span>${getComparisonLabel(s.id)}</td>
+                <td>${pct(m.totalReturn)}</td>
+                <td>${pct(m.cagr)}</td>
+                <td>${m.volatility.toFixed(2)}%</td>
+                <td>${ratio(m.sharpe)}</td>
+                <td>${ratio(m.sortino)}</td>
+                <td>${pct(m.mdd)}</td>
+                <td>${ratio(m.calmar)}</td>
+                <td>${m.worstYear ? pct(m.worstYear.return * 100) : '-'}</td>
+            </tr>
+        `;
+    }).join('');
+
+    document.getElementById('comparison-stats').innerHTML = `
+        <table class="analysis-table">
+            <thead>
+                <tr><th>포트폴리오</th><th>총수익률</th><th>CAGR</th><th>변동성</th><th>샤프</th><th>소르티노</th><th>MDD</th><th>칼마</th><th>최악의 해</th></tr>
+            </thead>
+            <tbody>${rows}</tbody>
+        </table>
+        <p class="table-note">${dates[0]} ~ ${dates[dates.length - 1]} 공통 구간 · 시작=100 · 내 포트폴리오는 시간가중수익률 기준${failed.length ? ` · 제외: ${failed.join(', ')}` : ''}</p>
+    `;
+    resultEl.style.display = 'block';
+
+    if (charts.comparison) {
+        charts.comparison.destroy();
+    }
+    const ctx = document.getElementById('comparisonChart').getContext('2d');
+    charts.comparison = new Chart(ctx, {
+        type: 'line',
+        data: {
+            labels: dates,
+            datasets: series.map((s, i) => ({
+                label: getComparisonLabel(s.id),
+                data: s.rebased,
+                borderColor: COMPARISON_COLORS[i % COMPARISON_COLORS.length],
+                borderWidth: i === 0 ? 2 : 1.5,
+                pointRadius: 0,
+                fill: false,
+                tension: 0.2
+            }))
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            interaction: {
+                mode: 'index',
+                intersect: false,
+            },
+            plugins: {
+                legend: {
+                    display: true,
+                    labels: { color: '#fff' }
+                },
+                tooltip: {
+                    callbacks: {
+                        label: context => `${context.dataset.label}: ${context.raw === null ? '-' : context.raw.toFixed(1)}`
+                    }
+                }
+            },
+            scales: {
+                x: {
+                    grid: { display: false },
+                    ticks: {
+                        color: '#8b92a5',
+                        maxTicksLimit: 8
+                    }
+                },
+                y: {
+                    position: 'right',
+                    grid: { color: 'rgba(255,255,255,0.05)' },
+                    ticks: { color: '#8b92a5' }
+                }
+            },
+            animation: { duration: 0 }
+        }
+    });
+}
+
+function renderComparisonOptions() {
+    const container = document.getElementById('comparison-options');
+    const options = getComparisonOptions();
+    comparisonSelection = comparisonSelection.filter(id => options.some(o => o.id === id));
+
+    let html = '';
+    let group = null;
+    options.forEach(option => {
+        if (option.group !== group) {
+            group = option.group;
+            html += `<span class="overlay-title">${group}</span>`;
+        }
+        html += `<label class="overlay-option"><input type="checkbox" value="${option.id}" ${comparisonSelection.includes(option.id) ? 'checked' : ''}> ${option.label}</label>`;
+    });
+    container.innerHTML = html;
+
+    container.querySelectorAll('input').forEach(input => {
+        input.addEventListener('change', (e) => {
+            if (e.target.checked && comparisonSelection.length >= COMPARISON_MAX) {
+                e.target.checked = false;
+                alert(`최대 ${COMPARISON_MAX}개까지 비교할 수 있습니다.`);
+                return;
+            }
+            comparisonSelection = comparisonSelection.filter(id => id !== e.target.value);
+            if (e.target.checked) comparisonSelection.push(e.target.value);
+        });
+    });
+}
 
-    if (price === 0) {
-        totalEl.textContent = '-- 원';
-        return;
+// --- Monte Carlo Projection ---
+const PROJECTION_PERCENTILES = [5, 25, 50, 75, 95];
+let projectionChart = null;
+
+// Monthly return history to bootstrap from, plus today's KRW value of the source.
+// 'current' replays today's weights on the holdings' history; otherwise a recommended portfolio id.
+async function loadProjectionHistory(source, range) {
+    if (source === 'current') {
+        const items = Object.values(portfolio);
+        if (items.length === 0) throw new Error('포트폴리오에 종목이 없습니다.');
+        const timeline = await buildPortfolioTimeline(items, range, { returnMode: 'total' });
+        const lastIndex = timeline.dates.length - 1;
+        const weights = timeline.holdingValues.map(values => values[lastIndex] || 0);
+        const sim = simulateRebalancing(timeline.dates, timeline.holdingPrices, weights, { policy: getRebalanceOptions().policy });
+        return {
+            returns: calendarReturns(timeline.dates, sim.values, 7).map(r => r.return),
+            currentValue: timeline.values[lastIndex] || 0
+        };
     }
 
-    // Format: 1,234,560 원
-    totalEl.textContent = `${Math.floor(finalValue).toLocaleString()} 원`;
+    const dates = await fetchDateGrid(range);
+    const values = await loadBenchmarkValues(`pf:${source}`, range, dates, 'total');
+    if (!values) throw new Error('추천 포트폴리오를 찾을 수 없습니다.');
+    return { returns: calendarReturns(dates, values, 7).map(r => r.return), currentValue: 0 };
 }
 
+// Date keys of the KRW=X history, used as the common grid for model portfolios
+async function fetchDateGrid(range) {
+    const fx = await fetchHistory('KRW=X', range);
+    if (!fx) throw new Error('환율 데이터를 불러오지 못했습니다.');
+    return fx.bars.map(bar => formatDateKey(bar.time));
+}
 
-// Exchange Rate State
-let currentExchangeRate = 1400; // Default fallback
-
-async function fetchExchangeRate() {
-    try {
-        const exchangeData = await fetchStockData('KRW=X', '5d', '1d');
-        if (exchangeData && exchangeData.currentPrice) {
-            currentExchangeRate = exchangeData.currentPrice;
-            console.log('Exchange Rate Updated:', currentExchangeRate);
+// Bootstrap `paths` monthly paths from the sampled returns. Contributions and withdrawals
+// apply at month end; a path that runs out of money stays at zero.
+function runMonteCarlo(returns, { initialValue, monthlyContribution = 0, monthlyWithdrawal = 0, months, paths = 1000, target = 0, random = Math.random }) {
+    const columns = Array.from({ length: months + 1 }, () => new Float64Array(paths));
+    let reached = 0;
+    let depleted = 0;
+
+    for (let p = 0; p < paths; p++) {
+        let value = initialValue;
+        columns[0][p] = value;
+        let ranOut = false;
+        for (let m = 1; m <= months; m++) {
+            if (value > 0) {
+                const r = returns[Math.floor(random() * returns.length)];
+                value = value * (1 + r) + monthlyContribution - monthlyWithdrawal;
+                if (value <= 0) {
+                    value = 0;
+                    ranOut = true;
+                }
+            }
+            columns[m][p] = value;
         }
-    } catch (e) {
-        console.error('Failed to fetch exchange rate:', e);
+        if (ranOut) depleted++;
+        if (target > 0 && value >= target) reached++;
     }
-}
 
-// Update Portfolio Prices (Fetches Data)
-// Update Portfolio Prices (Fetches Data)
-async function updatePortfolioPrices() {
-    if (Object.keys(portfolio).length === 0) return;
+    const percentiles = {};
+    PROJECTION_PERCENTILES.forEach(q => { percentiles[q] = []; });
+    columns.forEach(column => {
+        const sorted = Array.from(column).sort((a, b) => a - b);
+        PROJECTION_PERCENTILES.forEach(q => {
+            percentiles[q].push(sorted[Math.min(paths - 1, Math.floor(q / 100 * paths))]);
+        });
+    });
 
-    // Exchange rate is already fetched via fetchExchangeRate() on load.
+    return {
+        percentiles,
+        probabilityOfTarget: target > 0 ? reached / paths * 100 : null,
+        probabilityOfDepletion: depleted / paths * 100,
+        totalContributed: initialValue + (monthlyContribution - monthlyWithdrawal) * months
+    };
+}
 
-    const rows = document.querySelectorAll('.portfolio-item');
-    for (const row of rows) {
-        const symbol = row.dataset.symbol;
-        const totalEl = row.querySelector('.item-total');
+function getProjectionOptions() {
+    const readManwon = id => {
+        const val = parseFloat(document.getElementById(id).value);
+        return isNaN(val) || val < 0 ? null : val * baseInputUnit().multiplier;
+    };
+    const years = parseInt(document.getElementById('projection-years').value, 10);
+    const paths = parseInt(document.getElementById('projection-paths').value, 10);
+    return {
+        source: document.getElementById('projection-source').value,
+        range: document.getElementById('projection-history').value,
+        initialValue: readManwon('projection-initial'),
+        monthlyContribution: readManwon('projection-contribution') || 0,
+        monthlyWithdrawal: readManwon('projection-withdrawal') || 0,
+        target: readManwon('projection-target') || 0,
+        months: (isNaN(years) || years < 1 ? 10 : Math.min(years, 50)) * 12,
+        paths: isNaN(paths) || paths < 100 ? 1000 : Math.min(paths, 10000)
+    };
+}
 
-        if (totalEl.textContent === '-- 원') {
-            totalEl.textContent = '로딩...';
-            totalEl.style.fontSize = '0.8rem';
-        }
+async function runProjection() {
+    const options = getProjectionOptions();
+    const resultEl = document.getElementById('projection-result');
+    const loadingEl = document.getElementById('projection-loading');
+    loadingEl.style.display = 'block';
+    resultEl.style.display = 'none';
 
-        // 1. Check Cloud Cache First
-        if (cloudCache.stocks[symbol]) {
-            const cached = cloudCache.stocks[symbol];
-            row.dataset.price = cached.currentPrice;
-            row.dataset.exchange = currentExchangeRate; // Use current rate
-            updateItemTotal(row);
-            totalEl.style.fontSize = '';
-            // Indicate stale data? Maybe color grey?
-        }
+    try {
+        const history = await loadProjectionHistory(options.source, options.range);
+        if (history.returns.length < 12) throw new Error('과거 수익률 데이터가 12개월보다 짧습니다.');
 
-        try {
-            // 2. Fetch Fresh
-            let data = null;
-            if (lastFetchedData && lastFetchedData.symbol === symbol) {
-                data = lastFetchedData;
-            }
+        // Empty start amount = today's value of the current holdings (or 1,000만 원 for model portfolios)
+        const initialValue = options.initialValue !== null ? options.initialValue : (history.currentValue || toBase(10000000));
+        const result = runMonteCarlo(history.returns, { ...options, initialValue });
+        renderProjection(result, { ...options, initialValue, sampleMonths: history.returns.length });
+    } catch (error) {
+        console.error(error);
+        alert('예측 중 오류가 발생했습니다: ' + error.message);
+    } finally {
+        loadingEl.style.display = 'none';
+    }
+}
 
-            if (!data) {
-                data = await fetchStockData(symbol, '5d', '15m');
-            }
+function renderProjection(result, options) {
+    const resultEl = document.getElementById('projection-result');
+    const { percentiles } = result;
+    const months = options.months;
+    const last = q => percentiles[q][months];
+
+    const labels = Array.from({ length: months + 1 }, (_, m) => m % 12 === 0 ? `${m / 12}년` : `${Math.floor(m / 12)}년 ${m % 12}개월`);
+    const band = (q, color, fill) => ({
+        label: `${q}%`,
+        data: percentiles[q],
+        borderColor: color,
+        backgroundColor: 'rgba(59, 130, 246, 0.12)',
+        borderWidth: 1,
+        pointRadius: 0,
+        fill,
+        tension: 0.2
+    });
 
-            if (data) {
-                // 3. Update Cache & Save
-                cloudCache.stocks[symbol] = data;
-                saveToDrive();
+    document.getElementById('projection-stats').innerHTML = `
+        <div class="risk-item">
+            <span class="risk-label">중앙값 (50%)</span>
+            <span class="risk-value">${formatMoney(last(50))}</span>
+        </div>
+        <div class="risk-item">
+            <span class="risk-label">비관적 (5%) ~ 낙관적 (95%)</span>
+            <span class="risk-value">${formatMoney(last(5))} ~ ${formatMoney(last(95))}</span>
+        </div>
+        <div class="risk-item">
+            <span class="risk-label">순투입 금액</span>
+            <span class="risk-value">${formatMoney(result.totalContributed)}</span>
+        </div>
+        <div class="risk-item">
+            <span class="risk-label">목표 달성 확률${options.target > 0 ? ` <span class="pnl-sub">${formatMoney(options.target)}</span>` : ''}</span>
+            <span class="risk-value">${result.probabilityOfTarget === null ? '-' : result.probabilityOfTarget.toFixed(1) + '%'}</span>
+        </div>
+        <div class="risk-item">
+            <span class="risk-label">자금 고갈 확률</span>
+            <span class="risk-value ${result.probabilityOfDepletion > 0 ? 'text-down' : ''}">${result.probabilityOfDepletion.toFixed(1)}%</span>
+        </div>
+    `;
+    document.getElementById('projection-note').textContent =
+        `과거 ${options.sampleMonths}개월의 월간 수익률을 무작위로 다시 뽑아 ${options.paths.toLocaleString()}개 경로를 만들었어요. 미래 수익을 보장하지 않아요.`;
+    resultEl.style.display = 'block';
+
+    const ctx = document.getElementById('projectionChart').getContext('2d');
+    if (projectionChart) {
+        projectionChart.destroy();
+    }
 
-                row.dataset.price = data.currentPrice;
-                row.dataset.exchange = currentExchangeRate;
-                totalEl.style.fontSize = '';
-                updateItemTotal(row);
-            } else {
-                if (!cloudCache.stocks[symbol]) totalEl.textContent = '데이터 없음';
-            }
-        } catch (e) {
-            console.error(`Failed to update price for ${symbol}`, e);
-            if (!cloudCache.stocks[symbol]) totalEl.textContent = '에러';
+    projectionChart = new Chart(ctx, {
+        type: 'line',
+        data: {
+            labels,
+            // Bands fill to the previous dataset: 5-95 light, 25-75 darker, median on top
+            datasets: [
+                band(5, 'rgba(59, 130, 246, 0.4)', false),
+                band(95, 'rgba(59, 130, 246, 0.4)', '-1'),
+                band(25, 'rgba(59, 130, 246, 0.7)', false),
+                band(75, 'rgba(59, 130, 246, 0.7)', '-1'),
+                { ...band(50, '#3b82f6', false), label: '중앙값', borderWidth: 2 }
+            ]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            interaction: {
+                mode: 'index',
+                intersect: false,
+            },
+            plugins: {
+                legend: {
+                    display: true,
+                    labels: { color: '#fff' }
+                },
+                tooltip: {
+                    callbacks: {
+                        label: context => `${context.dataset.label}: ${formatMoney(context.raw)}`
+                    }
+                }
+            },
+            scales: {
+                x: {
+                    grid: { display: false },
+                    ticks: {
+                        color: '#8b92a5',
+                        maxTicksLimit: 10
+                    }
+                },
+                y: {
+                    position: 'right',
+                    grid: { color: 'rgba(255,255,255,0.05)' },
+                    ticks: {
+                        color: '#8b92a5',
+                        callback: value => formatAxisMoney(value)
+                    }
+                }
+            },
+            animation: { duration: 0 }
         }
-    }
+    });
 }
 
 // Analysis Logic
 let analysisChart = null;
+let analysisReturnMode = 'total'; // 'price' = price return, 'total' = dividends reinvested
+let lastAnalysisRange = null; // Re-run target when analysis options change
 
 // Fetch Historical Data Helper
+// Date key (YYYY-MM-DD) used to align series from different markets
+function formatDateKey(t) {
+    const d = new Date(t * 1000);
+    return `${d.getFullYear()}-${(d.getMonth() + 1).toString().padStart(2, '0')}-${d.getDate().toString().padStart(2, '0')}`;
+}
+
+// Build the daily value of `items` in `currency` (the reporting currency) over `range`,
+// following each holding's transaction ledger.
+// `index` is a time-weighted performance index (starts at 1): dated buys/sells move the value
+// but not the index, so returns reflect the holdings rather than the money put in.
+async function buildPortfolioTimeline(items, range, { returnMode = 'total', currency = baseCurrency, onProgress = null } = {}) {
+    // 1. Fetch Exchange Rates (High priority): every holding's quote currency and the reporting currency
+    const currencies = items.map(getItemCurrency);
+    const fxHistories = await fetchFxHistories([...currencies, currency], range);
+    if ([...fxHistories.values()].some(map => map.size === 0)) throw new Error('환율 정보를 불러올 수 없습니다.');
+
+    // 2. Fetch all stocks with Progress
+    const stockResultsRaw = await Promise.all(items.map(async item => {
+        const res = isCashItem(item) ? null : await fetchHistory(item.symbol, range); // Cash needs no quotes
+        if (onProgress) onProgress();
+        return res;
+    }));
+
+    // 3. Align on calendar dates: exact timestamps rarely match across markets (indices vs stocks vs forex)
+
+    const dateToStocks = stockResultsRaw.map(res => {
+        const map = new Map();
+        if (res) res.bars.forEach(bar => map.set(formatDateKey(bar.time), bar));
+        return map;
+    });
+
+    // Generate Master Date List (Union of all dates)
+    const allDatesSet = new Set();
+    fxHistories.forEach(map => map.forEach((rate, date) => allDatesSet.add(date)));
+    dateToStocks.forEach(map => map.forEach((bar, date) => allDatesSet.add(date)));
+    const dates = Array.from(allDatesSet).sort();
+    const conversion = alignFxConversion(currencies, currency, dates, fxHistories);
+
+    // 4. Calculate Portfolio Value
+    const values = [];
+    const index = [];
+    const holdingValues = items.map(() => []);
+    const holdingPrices = items.map(() => []); // Reporting currency per share, forward-filled
+
+    // Forward fill helpers
+    const lastBars = new Array(items.length).fill(null);
+    const cashBalances = new Array(items.length).fill(0); // Native balance incl. interest
+    const cashUnits = new Array(items.length).fill(1); // Value of 1 unit deposited at the start
+
+    dates.forEach((date, t) => {
+        const prevDate = t > 0 ? dates[t - 1] : null;
+        let dailyTotal = 0;
+        let netFlow = 0; // Money added (buys) or taken out (sells, and dividends in price-return mode)
+
+        items.forEach((item, idx) => {
+            // Currency Conversion (quote currency -> reporting currency on this date)
+            const fx = conversion[currencies[idx]][t] || 0;
+
+            // Cash: interest is return; deposits/withdrawals are flows at face value.
+            // Balances come from calcCashBalance; opening cash earns from the start of the window.
+            if (isCashItem(item)) {
+                cashBalances[idx] = calcCashBalance(item, date, dates[0]);
+                if (prevDate !== null) {
+                    cashUnits[idx] *= cashAccrual(item, prevDate, date);
+                    (item.transactions || []).forEach(tx => {
+                        if (tx.date === null || tx.date <= prevDate || tx.date > date) return;
+                        const amount = tx.type === 'buy' ? tx.quantity : (tx.type === 'sell' ? -tx.quantity : 0);
+                        netFlow += amount * fx;
+                    });
+                }
+                const cashValue = Math.max(0, cashBalances[idx]) * fx;
+                holdingValues[idx].push(cashValue);
+                holdingPrices[idx].push(cashUnits[idx] * fx);
+                dailyTotal += cashValue;
+                return;
+            }
+
+            if (dateToStocks[idx].has(date)) lastBars[idx] = dateToStocks[idx].get(date);
+            const bar = lastBars[idx];
+            const price = bar ? barClose(bar, returnMode) : 0;
+
+            const value = price * getHoldingQuantity(item, date) * fx;
+            holdingValues[idx].push(value);
+            holdingPrices[idx].push(price * fx);
+            dailyTotal += value;
+
+            // Trades dated since the previous point (weekends/holidays roll into the next one)
+            if (prevDate === null) return;
+            const basis = bar && bar.c ? price / bar.c : 1; // Trade prices are plain prices; match the price basis
+            (item.transactions || []).forEach(tx => {
+                if (tx.date === null || tx.date <= prevDate || tx.date > date) return;
+                const fee = (tx.fee || 0) * fx;
+                if (tx.type === 'buy') netFlow += tx.quantity * tx.price * basis * fx + fee;
+                if (tx.type === 'sell') netFlow -= tx.quantity * tx.price * basis * fx - fee;
+                // Adjusted closes already include dividends, so only count cash dividends for price return
+                if (tx.type === 'dividend' && returnMode === 'price') netFlow -= tx.quantity * tx.price * fx - fee;
+            });
+        });
+
+        const prevValue = t > 0 ? values[t - 1] : 0;
+        const prevIndex = t > 0 ? index[t - 1] : 1;
+        index.push(prevValue > 0 ? prevIndex * ((dailyTotal - netFlow) / prevValue) : prevIndex);
+
+        values.push(dailyTotal);
+    });
 
+    return {
+        dates,
+        values,
+        index,
+        currency,
+        holdingValues,
+        holdingPrices,
+        dateToStocks,
+        lastPrices: lastBars.map(bar => bar ? barClose(bar, returnMode) : 0)
+    };
+}
 
 async function analyzePortfolio(range = '5y') {
     const items = Object.values(portfolio);
@@ -1342,6 +5916,7 @@ async function analyzePortfolio(range = '5y') {
         alert('분석할 종목이 없습니다.');
         return;
     }
+    lastAnalysisRange = range;
 
     // UI State
     const loadingEl = document.getElementById('portfolio-loading');
@@ -1349,172 +5924,44 @@ async function analyzePortfolio(range = '5y') {
     loadingEl.textContent = `분석 데이터 로딩 중... (0/${items.length})`;
     document.getElementById('portfolio-chart-container').style.display = 'none';
     document.getElementById('portfolio-stats').style.display = 'none';
+    document.getElementById('risk-metrics').style.display = 'none';
+    document.getElementById('drawdown-container').style.display = 'none';
+    document.getElementById('drawdown-episodes').style.display = 'none';
+    document.getElementById('rolling-container').style.display = 'none';
+    document.getElementById('dca-container').style.display = 'none';
     document.getElementById('portfolio-composition').style.display = 'none';
+    document.getElementById('allocation-container').style.display = 'none';
 
     try {
-        // 1. Fetch Exchange Rate (High priority)
-        const exchangeDataRaw = await fetchHistory('KRW=X', range);
-        if (!exchangeDataRaw) throw new Error('환율 정보를 불러올 수 없습니다.');
-
-        // 2. Fetch all stocks with Progress
         let completedCount = 0;
         const updateProgress = () => {
             completedCount++;
             loadingEl.textContent = `분석 데이터 로딩 중... (${completedCount}/${items.length})`;
         };
 
-        const stockPromises = items.map(async item => {
-            const res = await fetchHistory(item.symbol, range);
-            updateProgress();
-            return res;
-        });
-
-        const stockResultsRaw = await Promise.all(stockPromises);
-
-        // 3. Process Data
-        // ... rest of logic ...
-
-        // Normalize Exchange Data Map: Date(YYYY-MM-DD) -> Close
-        // Since intervals might differ (trading days), we'll use a Map keyed by date string for easy lookup.
-        // actually using timestamp buckets.
-
-        const timeMap = new Map(); // timestamp -> { exchange: val, stocks: { symbol: price } }
-
-        // Helper to get date string key (YYYY-MM-DD) or just use nearest timestamp alignment?
-        // Line chart needs ordered labels.
-        // Let's use the timestamps from the first successful stock or exchange.
-        // Actually, exchange rate trades constantly? No, forex also has 5 days but different holidays.
-        // Common Strategy: Iterate through all distinct sorted timestamps from all datasets.
-
-        // Collect all timestamps
-        const allTimestamps = new Set([...exchangeDataRaw.timestamp]);
-        stockResultsRaw.forEach(res => {
-            if (res && res.timestamp) res.timestamp.forEach(t => allTimestamps.add(t));
-        });
-
-        const sortedTimes = Array.from(allTimestamps).sort((a, b) => a - b);
-
-        // Create Lookups
-        // Function to create lookup map for a connection
-        const createLookup = (res) => {
-            if (!res || !res.timestamp) return new Map();
-            const map = new Map();
-            const closes = res.indicators.quote[0].close;
-            res.timestamp.forEach((t, i) => {
-                map.set(t, closes[i]);
-            });
-            return map;
-        };
-
-        const exchangeLookup = createLookup(exchangeDataRaw);
-        const stockLookups = stockResultsRaw.map(res => createLookup(res));
-
-        // Note: Exact timestamp match is rare across different markets (indices vs stocks vs forex).
-        // Timestamps are often market close times.
-        // Better approach: Normalize to "YYYY-MM-DD".
-
-        const dateToExchange = new Map();
-        const ymd = (t) => {
-            const d = new Date(t * 1000);
-            return `${d.getFullYear()}-${(d.getMonth() + 1).toString().padStart(2, '0')}-${d.getDate().toString().padStart(2, '0')}`;
-        };
-
-        exchangeDataRaw.timestamp.forEach((t, i) => {
-            dateToExchange.set(ymd(t), exchangeDataRaw.indicators.quote[0].close[i]);
-        });
-
-        const dateToStocks = stockResultsRaw.map(res => {
-            if (!res) return new Map();
-            const map = new Map();
-            res.timestamp.forEach((t, i) => {
-                map.set(ymd(t), res.indicators.quote[0].close[i]);
-            });
-            return map;
-        });
-
-        // Generate Master Date List (Union of all dates)
-        // Then sort
-        const details = [];
-        const allDatesSet = new Set();
-        exchangeDataRaw.timestamp.forEach(t => allDatesSet.add(ymd(t)));
-        stockResultsRaw.forEach(res => {
-            if (res) res.timestamp.forEach(t => allDatesSet.add(ymd(t)));
-        });
-        const sortedDates = Array.from(allDatesSet).sort();
-
-        // 4. Calculate Portfolio Value
-        const portfolioValues = [];
-        const chartLabels = [];
-
-        // Forward fill helpers
-        let lastExchange = exchangeDataRaw.indicators.quote[0].close[0] || 1200; // Default fallback
-        const lastPrices = new Array(items.length).fill(0);
-
-        sortedDates.forEach(date => {
-            // Update Exchange
-            if (dateToExchange.has(date) && dateToExchange.get(date) !== null) {
-                lastExchange = dateToExchange.get(date);
-            }
-
-            let dailyTotal = 0;
-
-            items.forEach((item, idx) => {
-                const priceMap = dateToStocks[idx];
-                let price = 0;
-
-                // Check if we have a price for this date
-                if (priceMap.has(date) && priceMap.get(date) !== null) {
-                    price = priceMap.get(date);
-                    lastPrices[idx] = price;
-                } else {
-                    price = lastPrices[idx];
-                }
-
-                // Currency Conversion
-                const isKRW = item.symbol.endsWith('.KS') || item.symbol.endsWith('.KQ');
-                let valueInKRW = 0;
-
-                if (isKRW) {
-                    valueInKRW = price * item.quantity;
-                } else {
-                    valueInKRW = price * item.quantity * lastExchange;
-                }
-
-                dailyTotal += valueInKRW;
-            });
-
-            portfolioValues.push(dailyTotal);
-            chartLabels.push(date);
+        const timeline = await buildPortfolioTimeline(items, range, {
+            returnMode: analysisReturnMode,
+            onProgress: updateProgress
         });
+        const { dates: sortedDates, values: portfolioValues, index: performanceIndex } = timeline;
+        const chartLabels = sortedDates;
 
         // --- Performance Metrics Calculation ---
-        const initialValue = portfolioValues[0];
-        const finalValue = portfolioValues[portfolioValues.length - 1];
-
-        // 1. Total Return
-        const totalReturn = ((finalValue - initialValue) / initialValue) * 100;
-
-        // 2. CAGR (Compound Annual Growth Rate)
-        // Heuristic mapping for years based on range string
-        const rangeMap = {
-            '10y': 10, '7y': 7, '5y': 5, '3y': 3, '1y': 1, '6mo': 0.5
-        };
-        const years = rangeMap[range] || 5;
-
-        let cagr = 0;
-        if (initialValue > 0 && finalValue > 0) {
-            cagr = (Math.pow(finalValue / initialValue, 1 / years) - 1) * 100;
+        // Based on the time-weighted index so dated buys/sells don't count as gains or losses
+        const riskOptions = getRiskOptions();
+        let benchmarkValues = null;
+        try {
+            benchmarkValues = await loadBenchmarkValues(riskOptions.benchmark, range, sortedDates, analysisReturnMode);
+        } catch (e) {
+            console.warn('Benchmark load failed', e);
         }
-
-        // 3. MDD (Maximum Drawdown)
-        let peak = -Infinity;
-        let maxDrawdown = 0;
-
-        portfolioValues.forEach(val => {
-            if (val > peak) peak = val;
-            const drawdown = (val - peak) / peak;
-            if (drawdown < maxDrawdown) maxDrawdown = drawdown;
+        const metrics = computeRiskMetrics(sortedDates, performanceIndex, {
+            riskFreeRate: riskOptions.riskFreeRate,
+            benchmarkValues
         });
+        const totalReturn = metrics.totalReturn;
+        const cagr = metrics.cagr;
+        const maxDrawdown = metrics.mdd / 100;
 
         // Update Stats UI
         const returnEl = document.getElementById('stat-return');
@@ -1548,7 +5995,8 @@ async function analyzePortfolio(range = '5y') {
         const investment = 1000; // 1000 man-won
         const profit = investment * (totalReturn / 100);
         const finalMoney = investment + profit;
-        returnCommentEl.textContent = `수익분석: ${rangeText} 전에 이 포트폴리오로\n1,000만 원 투자했다면 ${Math.floor(finalMoney).toLocaleString()}만 원을 벌 수 있어요!`;
+        const modeText = analysisReturnMode === 'total' ? ' (배당 재투자 기준)' : '';
+        returnCommentEl.textContent = `수익분석: ${rangeText} 전에 이 포트폴리오로\n1,000만 원 투자했다면 ${Math.floor(finalMoney).toLocaleString()}만 원을 벌 수 있어요!${modeText}`;
 
         // 2. CAGR Comment
         cagrCommentEl.textContent = `연 평균 ${cagr.toFixed(2)}% 수익을\n기대할 수 있어요!`;
@@ -1558,58 +6006,23 @@ async function analyzePortfolio(range = '5y') {
 
 
         document.getElementById('portfolio-stats').style.display = 'flex';
+        renderRiskMetrics(metrics, riskOptions);
 
         // --- Composition Pie Charts ---
-        // Need Value per Stock at Start (t=0) and End (t=last)
-        // quantity assumed constant over period as per current simplified logic
-
-        const startValues = items.map((item, idx) => {
-            let price = 0;
-            // Find first valid price
-            const priceMap = dateToStocks[idx];
-            for (let i = 0; i < sortedDates.length; i++) {
-                if (priceMap.has(sortedDates[i]) && priceMap.get(sortedDates[i]) !== null) {
-                    price = priceMap.get(sortedDates[i]);
-                    break;
-                }
-            }
-            // If no price found, usage 0?? Or current price?
-            // If stock listed later, start value is 0. This is correct representation.
-
-            // Exchange rate at start
-            // We need exchange rate matching that date.
-            // Simplified: use exchange at t=0 of portfolio (or first valid date)
-            // Ideally we need exchange rate at that specific date.
-
-            // Let's reuse logic from main loop or just fetch from map.
-            // For pie chart, rough Start value is fine.
-
-            // Re-calculate simply:
-            const firstDate = sortedDates[0];
-            let initialExchange = 1200;
-            if (dateToExchange.has(firstDate)) initialExchange = dateToExchange.get(firstDate);
-
-            const isKRW = item.symbol.endsWith('.KS') || item.symbol.endsWith('.KQ');
-            let val = 0;
-            if (priceMap.has(firstDate)) {
-                val = priceMap.get(firstDate) * item.quantity;
-                if (!isKRW) val *= initialExchange;
-            }
-            return { label: item.name, value: val };
-        });
-
-        const endValues = items.map((item, idx) => {
-            // Use the final forward-filled price from the main loop
-            const price = lastPrices[idx];
-            const isKRW = item.symbol.endsWith('.KS') || item.symbol.endsWith('.KQ');
-
-            let val = 0;
-            if (price > 0) {
-                val = price * item.quantity;
-                if (!isKRW) val *= lastExchange;
-            }
-            return { label: item.name, value: val };
-        });
+        // Values come from the timeline, which forward-fills each holding's price and the FX rate
+        // on every date, so a holding that didn't trade on the first calendar date still counts
+        const startIndex = findCompositionStart(timeline);
+        const lastIndex = sortedDates.length - 1;
+        const startValues = items.map((item, idx) => ({
+            label: item.name,
+            value: startIndex === -1 ? 0 : timeline.holdingValues[idx][startIndex],
+            color: COMPOSITION_COLORS[idx % COMPOSITION_COLORS.length]
+        }));
+        const endValues = items.map((item, idx) => ({
+            label: item.name,
+            value: timeline.holdingValues[idx][lastIndex],
+            color: COMPOSITION_COLORS[idx % COMPOSITION_COLORS.length]
+        }));
 
         // Helper to render Donut Chart
         const renderPie = (canvasId, data, chartIdKey, referenceTotal = null) => {
@@ -1622,7 +6035,7 @@ async function analyzePortfolio(range = '5y') {
             const total = data.reduce((sum, item) => sum + item.value, 0);
 
             // Format Total for Center Text
-            const totalText = `${Math.floor(total / 10000).toLocaleString()}만`;
+            const totalText = formatAxisMoney(baseCurrency === 'KRW' ? Math.floor(total / 10000) * 10000 : total);
 
             // Filter 0 values
             const validData = data.filter(d => d.value > 0);
@@ -1633,10 +6046,7 @@ async function analyzePortfolio(range = '5y') {
                     labels: validData.map(d => d.label),
                     datasets: [{
                         data: validData.map(d => d.value),
-                        backgroundColor: [
-                            '#FF6384', '#36A2EB', '#FFCE56', '#4BC0C0', '#9966FF', '#FF9F40',
-                            '#E7E9ED', '#76A346', '#CD5C5C', '#1E90FF', '#DAA520'
-                        ],
+                        backgroundColor: validData.map(d => d.color),
                         borderWidth: 0,
                         cutout: '60%'
                     }]
@@ -1688,7 +6098,7 @@ async function analyzePortfolio(range = '5y') {
                         ctx.fillText(text, textX, textY);
 
                         ctx.font = `normal ${(height / 450).toFixed(2)}em sans-serif`;
-                        const subText = '원';
+                        const subText = baseCurrency === 'KRW' ? '원' : baseCurrency;
                         const subX = Math.round((width - ctx.measureText(subText).width) / 2);
                         ctx.fillStyle = "#9ca3af";
                         ctx.fillText(subText, subX, textY + 20);
@@ -1703,11 +6113,29 @@ async function analyzePortfolio(range = '5y') {
         document.getElementById('portfolio-composition').style.display = 'flex';
         renderPie('compositionStart', startValues, 'pieStart');
         renderPie('compositionEnd', endValues, 'pieEnd');
+        renderAllocationChart(timeline, items);
 
         // ---------------------------------------
 
+        // --- Rebalancing vs Buy-and-Hold ---
+        const rebalanceDatasets = renderRebalanceComparison(timeline, getRebalanceOptions());
+
+        // --- Benchmark Overlays ---
+        const benchmarkDatasets = await renderBenchmarkOverlays(timeline, range, analysisReturnMode);
+
         // 5. Render Chart
-        renderAnalysisChart(chartLabels, portfolioValues);
+        renderAnalysisChart(chartLabels, portfolioValues, [...rebalanceDatasets, ...benchmarkDatasets]);
+
+        // 6. Underwater Chart & Drawdown Episodes (time-weighted, so deposits don't hide losses)
+        document.getElementById('drawdown-container').style.display = 'block';
+        renderDrawdownChart(chartLabels, calcUnderwaterSeries(performanceIndex));
+        renderDrawdownEpisodes(computeDrawdownEpisodes(sortedDates, performanceIndex));
+
+        // 7. Rolling Returns / Volatility / Sharpe
+        renderRollingAnalysis(sortedDates, performanceIndex, riskOptions.riskFreeRate);
+
+        // 8. Monthly DCA vs Lump Sum
+        renderDcaComparison(timeline, getDcaAmount());
 
     } catch (error) {
         console.error(error);
@@ -1718,7 +6146,148 @@ async function analyzePortfolio(range = '5y') {
     }
 }
 
-function renderAnalysisChart(labels, data) {
+// Rebalancing options from the analysis tab inputs (percent inputs -> fractions)
+function getRebalanceOptions() {
+    const readPercent = (id, fallback) => {
+        const el = document.getElementById(id);
+        const val = el ? parseFloat(el.value) : NaN;
+        return isNaN(val) || val < 0 ? fallback : val / 100;
+    };
+    const policyEl = document.getElementById('rebalance-policy');
+    return {
+        policy: policyEl ? policyEl.value : 'none',
+        band: readPercent('rebalance-band', 0.05),
+        costRate: readPercent('rebalance-cost', 0),
+        taxRate: readPercent('rebalance-tax', 0)
+    };
+}
+
+function getRiskOptions() {
+    const rfEl = document.getElementById('risk-free-rate');
+    const rf = rfEl ? parseFloat(rfEl.value) : NaN;
+    const benchmarkEl = document.getElementById('benchmark-select');
+    return {
+        riskFreeRate: isNaN(rf) ? 0 : rf / 100,
+        benchmark: benchmarkEl && benchmarkEl.value ? benchmarkEl.value : 'index:sp500'
+    };
+}
+
+// Risk metric grid under the headline stats
+function renderRiskMetrics(metrics, options) {
+    const el = document.getElementById('risk-metrics');
+    const pct = v => v === null || v === undefined ? '-' : `<span class="${pnlClass(v)}">${v.toFixed(2)}%</span>`;
+    const ratio = v => v === null || v === undefined ? '-' : v.toFixed(2);
+    const period = r => r ? `${pct(r.return * 100)} <span class="pnl-sub">${r.period}</span>` : '-';
+    const days = d => d >= 365 ? `${(d / 365).toFixed(1)}년` : `${d}일`;
+
+    const dd = metrics.maxDrawdownEpisode;
+    let recoveryText = '-';
+    if (dd) recoveryText = dd.recoveryDate ? days(dd.recoveryDays) : '미회복';
+
+    const cells = [
+        ['연환산 변동성', pct(metrics.volatility)],
+        [`샤프 지수 <span class="pnl-sub">무위험 ${(options.riskFreeRate * 100).toFixed(1)}%</span>`, ratio(metrics.sharpe)],
+        ['소르티노 지수', ratio(metrics.sortino)],
+        ['칼마 지수', ratio(metrics.calmar)],
+        [`베타 <span class="pnl-sub">${getBenchmarkLabel(options.benchmark)}</span>`, ratio(metrics.beta)],
+        ['상관계수', ratio(metrics.correlation)],
+        ['최고의 해', period(metrics.bestYear)],
+        ['최악의 해', period(metrics.worstYear)],
+        ['최고의 달', period(metrics.bestMonth)],
+        ['최악의 달', period(metrics.worstMonth)],
+        ['최장 하락 기간', days(metrics.longestDrawdownDays)],
+        ['MDD 회복 기간', recoveryText]
+    ];
+
+    el.innerHTML = cells.map(([label, value]) => `
+        <div class="risk-item">
+            <span class="risk-label">${label}</span>
+            <span class="risk-value">${value}</span>
+        </div>
+    `).join('');
+    el.style.display = 'grid';
+}
+
+// Simulate the current allocation held as a lump sum from the start, once left alone and once
+// rebalanced per `options`. Fills the comparison table and returns extra chart datasets.
+function renderRebalanceComparison(timeline, options) {
+    const statsEl = document.getElementById('rebalance-stats');
+    if (options.policy === 'none') {
+        statsEl.style.display = 'none';
+        return [];
+    }
+
+    // Target = today's weights (the allocation the user is holding now)
+    const lastIndex = timeline.dates.length - 1;
+    const weights = timeline.holdingValues.map(values => values[lastIndex] || 0);
+    if (weights.every(w => w <= 0)) {
+        statsEl.style.display = 'none';
+        return [];
+    }
+
+    const probe = simulateRebalancing(timeline.dates, timeline.holdingPrices, weights);
+    if (probe.startIndex === -1) {
+        statsEl.style.display = 'none';
+        return [];
+    }
+    const startValue = timeline.values[probe.startIndex] > 0 ? timeline.values[probe.startIndex] : 10000000;
+
+    const simOptions = { ...options, initialValue: startValue };
+    const buyHold = simulateRebalancing(timeline.dates, timeline.holdingPrices, weights, { ...simOptions, policy: 'none' });
+    const rebalanced = simulateRebalancing(timeline.dates, timeline.holdingPrices, weights, simOptions);
+
+    const buyHoldStats = calcReturnStats(timeline.dates, buyHold.values);
+    const rebalancedStats = calcReturnStats(timeline.dates, rebalanced.values);
+    const pct = v => `<span class="${pnlClass(v)}">${v.toFixed(2)}%</span>`;
+
+    statsEl.innerHTML = `
+        <table class="analysis-table">
+            <thead>
+                <tr><th>현재 비중 기준</th><th>총수익률</th><th>CAGR</th><th>MDD</th><th>리밸런싱 횟수</th><th>비용·세금</th></tr>
+            </thead>
+            <tbody>
+                <tr>
+                    <td>${REBALANCE_POLICY_LABELS.none}</td>
+                    <td>${pct(buyHoldStats.totalReturn)}</td>
+                    <td>${pct(buyHoldStats.cagr)}</td>
+                    <td>${pct(buyHoldStats.mdd)}</td>
+                    <td>-</td>
+                    <td>-</td>
+                </tr>
+                <tr>
+                    <td>${REBALANCE_POLICY_LABELS[options.policy]}</td>
+                    <td>${pct(rebalancedStats.totalReturn)}</td>
+                    <td>${pct(rebalancedStats.cagr)}</td>
+                    <td>${pct(rebalancedStats.mdd)}</td>
+                    <td>${rebalanced.rebalances}회</td>
+                    <td>${formatMoney(rebalanced.costs + rebalanced.taxes)}</td>
+                </tr>
+            </tbody>
+        </table>
+    `;
+    statsEl.style.display = 'block';
+
+    return [{
+        label: `${REBALANCE_POLICY_LABELS.none} (시뮬레이션)`,
+        data: buyHold.values,
+        borderColor: '#9ca3af',
+        borderDash: [4, 4],
+        borderWidth: 1.5,
+        pointRadius: 0,
+        fill: false,
+        tension: 0.2
+    }, {
+        label: `${REBALANCE_POLICY_LABELS[options.policy]} (시뮬레이션)`,
+        data: rebalanced.values,
+        borderColor: '#f59e0b',
+        borderWidth: 1.5,
+        pointRadius: 0,
+        fill: false,
+        tension: 0.2
+    }];
+}
+
+function renderAnalysisChart(labels, data, extraDatasets = []) {
     const ctx = document.getElementById('portfolioChart').getContext('2d');
 
     if (analysisChart) {
@@ -1730,7 +6299,7 @@ function renderAnalysisChart(labels, data) {
         data: {
             labels: labels,
             datasets: [{
-                label: '내 포트폴리오 가치 (KRW)',
+                label: `내 포트폴리오 가치 (${baseCurrency})`,
                 data: data,
                 borderColor: '#3b82f6', // distinct blue
                 backgroundColor: 'rgba(59, 130, 246, 0.1)',
@@ -1738,7 +6307,7 @@ function renderAnalysisChart(labels, data) {
                 pointRadius: 0,
                 fill: true,
                 tension: 0.2
-            }]
+            }, ...extraDatasets]
         },
         options: {
             responsive: true,
@@ -1770,9 +6339,17 @@ function renderAnalysisChart(labels, data) {
                     grid: { color: 'rgba(255,255,255,0.05)' },
                     ticks: {
                         color: '#8b92a5',
-                        callback: function (value) {
-                            return (value / 10000).toLocaleString() + '만';
-                        }
+                        callback: value => formatAxisMoney(value)
+                    }
+                },
+                // Excess-return lines of benchmark overlays (%p)
+                excess: {
+                    display: extraDatasets.some(ds => ds.yAxisID === 'excess'),
+                    position: 'left',
+                    grid: { display: false },
+                    ticks: {
+                        color: '#8b92a5',
+                        callback: value => `${value}%p`
                     }
                 }
             },
@@ -1787,12 +6364,27 @@ function renderAnalysisChart(labels, data) {
 
 // Start
 document.addEventListener('DOMContentLoaded', () => {
+    initIndicatorControls();
     initCharts();
     updateTime(); // Ensure global usage if needed
     fetchExchangeRate(); // optimizations: Fetch once on load
 
     // Event Listeners for Search Button/Enter
     document.getElementById('search-btn').addEventListener('click', () => handleSearch('5y', '1mo'));
+
+    // Search Comparison
+    document.getElementById('compare-add-btn').addEventListener('click', addCompareSymbol);
+    document.getElementById('compare-code').addEventListener('keypress', (e) => {
+        if (e.key === 'Enter') addCompareSymbol();
+    });
+    document.querySelectorAll('.compare-mode-btn').forEach(btn => {
+        btn.addEventListener('click', () => {
+            document.querySelectorAll('.compare-mode-btn').forEach(b => b.classList.remove('active'));
+            btn.classList.add('active');
+            compareMode = btn.dataset.mode;
+            renderSearchChart();
+        });
+    });
     document.getElementById('add-to-portfolio-btn').addEventListener('click', () => {
         if (!lastFetchedData) {
             alert('데이터를 먼저 검색해주세요.');
@@ -1814,6 +6406,14 @@ document.addEventListener('DOMContentLoaded', () => {
         if (e.key === 'Enter') handleSearch('5y', '1mo');
     });
 
+    // Symbol Autocomplete
+    loadSymbolList();
+    attachSymbolAutocomplete(document.getElementById('stock-code'), document.getElementById('exchange-select'),
+        () => handleSearch('5y', '1mo'));
+    attachSymbolAutocomplete(document.getElementById('compare-code'), document.getElementById('compare-exchange'),
+        () => addCompareSymbol());
+    document.getElementById('symbol-refresh-btn').addEventListener('click', handleRefreshSymbolList);
+
     // Portfolio Event Listeners
     // Tab Event Listeners
     document.querySelectorAll('.tab-nav-btn').forEach(btn => {
@@ -1828,6 +6428,43 @@ document.addEventListener('DOMContentLoaded', () => {
     // Pre-load recommendations
     renderRecommendations();
 
+    // Custom Model Portfolios
+    const modelModal = document.getElementById('model-editor-modal');
+    const modelRebalance = document.getElementById('model-rebalance');
+    Object.entries(REBALANCE_POLICY_LABELS).forEach(([policy, label]) => {
+        const opt = document.createElement('option');
+        opt.value = policy;
+        opt.textContent = label;
+        modelRebalance.appendChild(opt);
+    });
+    document.getElementById('custom-model-new-btn').addEventListener('click', () => openModelEditor());
+    document.getElementById('custom-model-import-btn').addEventListener('click', () => {
+        const text = prompt('내보낸 JSON 또는 공유 링크를 붙여넣으세요.');
+        if (text && importModelPortfolio(text)) switchTab('tab-recommend');
+    });
+    document.getElementById('model-add-item-btn').addEventListener('click', () => addModelEditorRow());
+    document.getElementById('model-save-btn').addEventListener('click', saveModelEditor);
+    document.getElementById('model-editor-close').addEventListener('click', () => {
+        modelModal.style.display = 'none';
+    });
+
+    // Target Allocation & Rebalancing Planner
+    renderTargetModelOptions();
+    document.getElementById('target-model-select').addEventListener('change', (e) => {
+        loadTargetFromModel(e.target.value);
+        e.target.value = '';
+    });
+    document.getElementById('target-band').addEventListener('input', updateTargetWeightSum);
+    document.getElementById('target-save-btn').addEventListener('click', saveTargetAllocation);
+    document.getElementById('planner-run-btn').addEventListener('click', runRebalancePlanner);
+
+    // Copy Model Portfolio Dialog
+    const copyModal = document.getElementById('copy-modal');
+    document.getElementById('copy-confirm-btn').addEventListener('click', executeCopyPortfolio);
+    document.getElementById('copy-modal-close').addEventListener('click', () => {
+        copyModal.style.display = 'none';
+    });
+
     const analyzeBtn = document.getElementById('analyze-portfolio-btn');
     if (analyzeBtn) {
         analyzeBtn.addEventListener('click', () => {
@@ -1844,6 +6481,92 @@ document.addEventListener('DOMContentLoaded', () => {
         });
     });
 
+    // Reporting Currency (totals, analysis, pies)
+    const baseCurrencySelect = document.getElementById('base-currency');
+    BASE_CURRENCIES.forEach(currency => {
+        const opt = document.createElement('option');
+        opt.value = currency;
+        opt.textContent = currency;
+        baseCurrencySelect.appendChild(opt);
+    });
+    baseCurrencySelect.value = baseCurrency;
+    updateBaseCurrencyLabels();
+    baseCurrencySelect.addEventListener('change', async (e) => {
+        baseCurrency = e.target.value;
+        localStorage.setItem('baseCurrency', baseCurrency);
+        updateBaseCurrencyLabels();
+        if (!getKRWRate(baseCurrency)) await fetchExchangeRate([baseCurrency]);
+        document.querySelectorAll('.portfolio-item').forEach(row => updateItemTotal(row));
+        updatePortfolioSummary();
+        if (lastAnalysisRange) analyzePortfolio(lastAnalysisRange);
+    });
+
+    // Cash Holdings
+    document.getElementById('cash-date').max = formatDateKey(Date.now() / 1000);
+    document.getElementById('add-cash-btn').addEventListener('click', async () => {
+        const currency = document.getElementById('cash-currency').value;
+        const amount = parseFloat(document.getElementById('cash-amount').value);
+        const rate = parseFloat(document.getElementById('cash-rate').value);
+        const date = document.getElementById('cash-date').value || null; // empty = opening balance
+        if (!(amount > 0)) {
+            alert('금액을 입력해주세요.');
+            return;
+        }
+        if (date && date > formatDateKey(Date.now() / 1000)) {
+            alert('미래 일자로는 입금할 수 없습니다.');
+            return;
+        }
+        await addCashHolding(currency, amount, rate >= 0 ? rate : null, date);
+        document.getElementById('cash-amount').value = '';
+        renderPortfolioList();
+        updatePortfolioPrices();
+    });
+
+    // Benchmark choices: dashboard indices and recommended portfolios
+    const benchmarkSelect = document.getElementById('benchmark-select');
+    getBenchmarkOptions().forEach(option => {
+        const opt = document.createElement('option');
+        opt.value = option.id;
+        opt.textContent = option.label;
+        benchmarkSelect.appendChild(opt);
+    });
+    benchmarkSelect.value = 'index:sp500';
+    renderBenchmarkOverlayOptions();
+
+    // Monte Carlo Projection
+    const projectionSource = document.getElementById('projection-source');
+    recommendedPortfolios.forEach(pf => {
+        const opt = document.createElement('option');
+        opt.value = pf.id;
+        opt.textContent = pf.name;
+        projectionSource.appendChild(opt);
+    });
+    document.getElementById('projection-run-btn').addEventListener('click', runProjection);
+
+    // Portfolio Comparison
+    renderComparisonOptions();
+    document.getElementById('comparison-run-btn').addEventListener('click', runComparison);
+
+    // Shared model link (#model=...)
+    openSharedModelFromUrl();
+
+    // Rebalancing / Risk Options (re-run with cached data)
+    document.querySelectorAll('#rebalance-policy, #rebalance-band, #rebalance-cost, #rebalance-tax, #benchmark-select, #risk-free-rate, #rolling-window, #dca-amount').forEach(el => {
+        el.addEventListener('change', () => {
+            if (lastAnalysisRange) analyzePortfolio(lastAnalysisRange);
+        });
+    });
+
+    // Price Return / Total Return Toggle
+    document.querySelectorAll('.return-mode-btn').forEach(btn => {
+        btn.addEventListener('click', (e) => {
+            document.querySelectorAll('.return-mode-btn').forEach(b => b.classList.remove('active'));
+            e.target.classList.add('active');
+            analysisReturnMode = e.target.dataset.mode;
+            if (lastAnalysisRange) analyzePortfolio(lastAnalysisRange);
+        });
+    });
+
     // Delegated Event Listeners for All Chart Controls
     document.body.addEventListener('click', (e) => {
         // Range Buttons
@@ -1955,6 +6678,8 @@ async function dbGet() {
 
 // --- Global Cache for Drive Sync ---
 let cloudCache = {
+    portfolios: null,
+    customPortfolios: [],
     portfolio: {},
     indices: {},
     stocks: {}
@@ -1983,7 +6708,7 @@ async function syncDataFromDrive() {
         const cloudData = await dbGet();
         console.log("[syncDataFromDrive] Parsed Cloud Data:", cloudData); // DEBUG
 
-        if (cloudData && (cloudData.portfolio || cloudData.indices || cloudData.stocks)) {
+        if (cloudData && (cloudData.portfolios || cloudData.portfolio || cloudData.indices || cloudData.stocks)) {
             console.log("Cloud Data Found:", cloudData);
 
             // Validate & Merge
@@ -1991,11 +6716,25 @@ async function syncDataFromDrive() {
             cloudCache.indices = cloudData.indices || {};
             cloudCache.stocks = cloudData.stocks || {};
 
-            // Set App State
-            portfolio = cloudCache.portfolio;
+            // Set App State (older saves only have the single `portfolio`)
+            applyPortfolios(normalizePortfolios(cloudData.portfolios, cloudCache.portfolio));
+            persistPortfolios();
+            cloudCache.portfolios = serializePortfolios();
+            cloudCache.portfolio = portfolio;
+
+            // Custom model portfolios (older saves have none; keep the local ones then)
+            if (Array.isArray(cloudData.customPortfolios)) {
+                setCustomPortfolios(cloudData.customPortfolios);
+                persistCustomPortfolios();
+                recommendationsRendered = false;
+                renderRecommendations();
+            }
+            cloudCache.customPortfolios = getCustomPortfolios();
 
             // Render Initial State from Cache
+            renderPortfolioSwitcher();
             renderPortfolioList();
+            refreshModelPortfolioChoices();
 
             // We can also trigger UI updates for Indices/Stocks if cache exists
             // This will be handled by the specific update functions checking the cache
@@ -2007,7 +6746,9 @@ async function syncDataFromDrive() {
         } else {
             console.log("No cloud data (or empty). Saving local data...");
             // Init Cloud with current local state
+            cloudCache.portfolios = serializePortfolios();
             cloudCache.portfolio = portfolio;
+            cloudCache.customPortfolios = getCustomPortfolios();
             await dbSet(cloudCache);
         }
     } catch (e) {
@@ -2025,8 +6766,10 @@ async function saveToDrive() {
 
     saveTimeout = setTimeout(async () => {
         try {
-            // Update cache with current app state before saving
+            // Update cache with current app state before saving (all portfolios; `portfolio` = active one)
+            cloudCache.portfolios = serializePortfolios();
             cloudCache.portfolio = portfolio;
+            cloudCache.customPortfolios = getCustomPortfolios();
 
             await dbSet(cloudCache);
             console.log('Saved to Drive (GAS):', cloudCache);
@@ -2045,11 +6788,30 @@ document.addEventListener('DOMContentLoaded', () => {
     const loginModal = document.getElementById('login-modal');
     const closeModalBtn = document.getElementById('close-modal-btn');
 
-    // VIP Button Listener
-    const vipBtn = document.getElementById('vip-btn');
-    if (vipBtn) {
-        vipBtn.addEventListener('click', () => {
-            alert("다수의 포트폴리오 동시 분석은 VIP 회원에게만 개방되는 기능입니다.");
+    // Portfolio Switcher & Menu
+    renderPortfolioSwitcher();
+    const switcher = document.getElementById('portfolio-switcher');
+    const menuBtn = document.getElementById('portfolio-menu-btn');
+    const menu = document.getElementById('portfolio-menu');
+    if (switcher) {
+        switcher.addEventListener('change', (e) => {
+            switchPortfolio(e.target.value);
+            switchTab('tab-portfolio');
+        });
+    }
+    if (menuBtn && menu) {
+        menuBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            menu.style.display = menu.style.display === 'none' ? 'flex' : 'none';
+        });
+        menu.querySelectorAll('button').forEach(btn => {
+            btn.addEventListener('click', () => {
+                menu.style.display = 'none';
+                handlePortfolioMenuAction(btn.dataset.action);
+            });
+        });
+        document.addEventListener('click', (e) => {
+            if (!menu.contains(e.target)) menu.style.display = 'none';
         });
     }
 